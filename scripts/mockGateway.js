@@ -0,0 +1,335 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import logger from '../src/utils/logger.js';
+import paymentJWTService from '../src/utils/paymentJWT.js';
+
+// Mock of the Edviron collect-request API for offline development and QA.
+// Point the backend at it with PAYMENT_API_BASE_URL=http://localhost:<MOCK_GATEWAY_PORT>
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Read per-school keys from MOCK_GATEWAY_SCHOOL_KEYS, a JSON object of school_id to pg_key
+ * @param {string} value - Environment value
+ * @returns {Object} Keys by school ID
+ */
+const parseSchoolKeys = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`MOCK_GATEWAY_SCHOOL_KEYS must be a JSON object of school_id to pg_key: ${error.message}`);
+  }
+};
+
+// Outcomes offered on the hosted payment page and the gateway status they produce
+const OUTCOMES = {
+  success: 'SUCCESS',
+  failure: 'FAILED',
+  timeout: 'PENDING'
+};
+
+/**
+ * Create the mock gateway Express application
+ * @param {Object} options - Mock gateway options
+ * @param {string} options.pgKey - Key used to verify and produce `sign` JWTs for schools without their own key
+ * @param {Object} options.schoolKeys - pg_key by school ID, for schools with their own gateway credentials
+ * @param {string} options.publicUrl - Base URL the hosted payment page is served from
+ * @param {string} options.webhookUrl - URL webhooks are sent to
+ * @returns {Object} Express application with `collectRequests` and `refunds` Maps attached
+ */
+export const createMockGatewayApp = ({
+  pgKey = process.env.PG_KEY,
+  schoolKeys = parseSchoolKeys(process.env.MOCK_GATEWAY_SCHOOL_KEYS),
+  publicUrl = process.env.MOCK_GATEWAY_PUBLIC_URL || `http://localhost:${process.env.MOCK_GATEWAY_PORT || 5055}`,
+  webhookUrl = process.env.MOCK_GATEWAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`
+} = {}) => {
+  if (!pgKey) {
+    throw new Error('PG_KEY is not configured');
+  }
+
+  const app = express();
+  const collectRequests = new Map();
+  const refunds = new Map();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Get the key a school's requests are signed with, like the real gateway does
+   * @param {string} schoolId - School ID
+   * @returns {string} The school's pg_key, or the default key
+   */
+  const getPgKey = (schoolId) => schoolKeys[schoolId] || pgKey;
+
+  /**
+   * Verify a `sign` JWT with a school's key and return its payload, or null when invalid
+   * @param {string} sign - Signed JWT
+   * @param {string} schoolId - School the request is for
+   * @returns {Object|null} Decoded payload
+   */
+  const verifySign = (sign, schoolId) => {
+    try {
+      return jwt.verify(sign, getPgKey(schoolId));
+    } catch (error) {
+      logger.warn('Mock gateway rejected signature', { error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Send a signed webhook for a collect request to the backend
+   * @param {string} collectRequestId - Collect request ID
+   * @param {Object} collectRequest - Stored collect request
+   */
+  const sendWebhook = async (collectRequestId, collectRequest) => {
+    const transactionAmount = collectRequest.status === 'SUCCESS' ? collectRequest.amount : 0;
+
+    const body = {
+      status: 200,
+      order_info: {
+        order_id: collectRequestId,
+        order_amount: collectRequest.amount,
+        transaction_amount: transactionAmount,
+        gateway: 'MockGateway',
+        bank_reference: collectRequest.bank_reference,
+        status: collectRequest.status,
+        payment_mode: collectRequest.payment_mode,
+        payment_message: collectRequest.status === 'SUCCESS' ? 'payment success' : `payment ${collectRequest.status.toLowerCase()}`,
+        payment_time: new Date().toISOString(),
+        error_message: collectRequest.status === 'FAILED' ? 'Payment declined by mock gateway' : 'NA'
+      },
+      sign: paymentJWTService.signWebhook({
+        collect_request_id: collectRequestId
+      }, getPgKey(collectRequest.school_id))
+    };
+
+    try {
+      const response = await axios.post(webhookUrl, body, { timeout: 10000 });
+      logger.info('Mock gateway webhook delivered', {
+        collect_request_id: collectRequestId,
+        status: response.status
+      });
+    } catch (error) {
+      logger.error('Mock gateway webhook delivery failed', {
+        collect_request_id: collectRequestId,
+        status: error.response?.status,
+        message: error.message
+      });
+    }
+  };
+
+  // Create collect request
+  app.post('/create-collect-request', (req, res) => {
+    const { school_id, amount, callback_url, sign } = req.body || {};
+    const payload = verifySign(sign, school_id);
+
+    if (!payload || payload.school_id !== school_id || payload.amount !== amount || payload.callback_url !== callback_url) {
+      return res.status(401).json({ message: 'Invalid sign', code: 'INVALID_SIGN' });
+    }
+
+    const collectRequestId = crypto.randomBytes(12).toString('hex');
+
+    collectRequests.set(collectRequestId, {
+      school_id,
+      amount: Number(amount),
+      callback_url,
+      status: 'PENDING',
+      payment_mode: '',
+      bank_reference: '',
+      refunded: 0,
+      createdAt: new Date()
+    });
+
+    logger.info('Mock gateway collect request created', {
+      collect_request_id: collectRequestId,
+      school_id,
+      amount
+    });
+
+    res.status(200).json({
+      collect_request_id: collectRequestId,
+      collect_request_url: `${publicUrl}/pay/${collectRequestId}`,
+      sign
+    });
+  });
+
+  // Check collect request status
+  app.get('/collect-request/:id', (req, res) => {
+    const collectRequest = collectRequests.get(req.params.id);
+    const payload = verifySign(req.query.sign, req.query.school_id);
+
+    if (!payload || payload.collect_request_id !== req.params.id || payload.school_id !== req.query.school_id) {
+      return res.status(401).json({ message: 'Invalid sign', code: 'INVALID_SIGN' });
+    }
+
+    if (!collectRequest || collectRequest.school_id !== req.query.school_id) {
+      return res.status(404).json({ message: 'Collect request not found' });
+    }
+
+    res.status(200).json({
+      status: collectRequest.status,
+      amount: collectRequest.amount,
+      details: {
+        payment_mode: collectRequest.payment_mode,
+        bank_ref: collectRequest.bank_reference
+      },
+      jwt: req.query.sign
+    });
+  });
+
+  // Initiate refund
+  app.post('/initiate-refund', (req, res) => {
+    const { collect_request_id, refund_amount, refund_id, sign } = req.body || {};
+    const collectRequest = collectRequests.get(collect_request_id);
+    const payload = verifySign(sign, collectRequest?.school_id);
+
+    if (!payload || payload.collect_request_id !== collect_request_id || payload.refund_amount !== refund_amount) {
+      return res.status(401).json({ message: 'Invalid sign', code: 'INVALID_SIGN' });
+    }
+
+    if (!collectRequest || collectRequest.status !== 'SUCCESS') {
+      return res.status(400).json({ message: 'Collect request is not refundable' });
+    }
+
+    if (collectRequest.refunded + Number(refund_amount) > collectRequest.amount) {
+      return res.status(400).json({ message: 'Refund amount exceeds collected amount' });
+    }
+
+    collectRequest.refunded += Number(refund_amount);
+
+    const refund = {
+      collect_request_id,
+      refund_request_id: `rf_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'SUCCESS'
+    };
+    refunds.set(refund_id, refund);
+
+    res.status(200).json({
+      refund_request_id: refund.refund_request_id,
+      status: refund.status
+    });
+  });
+
+  // Check refund status by the refund ID sent with the refund
+  app.get('/refund-status/:refund_id', (req, res) => {
+    const refund = refunds.get(req.params.refund_id);
+    const payload = verifySign(req.query.sign, req.query.school_id);
+
+    if (!payload || payload.refund_id !== req.params.refund_id || payload.collect_request_id !== req.query.collect_request_id) {
+      return res.status(401).json({ message: 'Invalid sign', code: 'INVALID_SIGN' });
+    }
+
+    const collectRequest = collectRequests.get(req.query.collect_request_id);
+
+    if (!refund || refund.collect_request_id !== req.query.collect_request_id || collectRequest?.school_id !== req.query.school_id) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    res.status(200).json({
+      refund_request_id: refund.refund_request_id,
+      status: refund.status
+    });
+  });
+
+  // Hosted payment page
+  app.get('/pay/:id', (req, res) => {
+    const collectRequest = collectRequests.get(req.params.id);
+
+    if (!collectRequest) {
+      return res.status(404).send('Collect request not found');
+    }
+
+    const id = escapeHtml(req.params.id);
+
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Mock Payment Gateway</title></head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 40px auto;">
+    <h1>Mock Payment Gateway</h1>
+    <p>Collect request: <code>${id}</code></p>
+    <p>Amount: <strong>&#8377;${escapeHtml(collectRequest.amount)}</strong></p>
+    <p>Status: <strong>${escapeHtml(collectRequest.status)}</strong></p>
+    <form method="post" action="/pay/${id}">
+      <p><label><input type="checkbox" name="webhook" value="true" checked> Send webhook</label></p>
+      <button name="outcome" value="success">Pay (success)</button>
+      <button name="outcome" value="failure">Fail payment</button>
+      <button name="outcome" value="timeout">Time out</button>
+    </form>
+  </body>
+</html>`);
+  });
+
+  // Complete the hosted payment with the chosen outcome
+  app.post('/pay/:id', async (req, res) => {
+    const collectRequest = collectRequests.get(req.params.id);
+    const status = OUTCOMES[req.body?.outcome];
+
+    if (!collectRequest) {
+      return res.status(404).send('Collect request not found');
+    }
+
+    if (!status) {
+      return res.status(400).send('Outcome must be one of: success, failure, timeout');
+    }
+
+    collectRequest.status = status;
+    collectRequest.payment_mode = status === 'SUCCESS' ? 'upi' : '';
+    collectRequest.bank_reference = status === 'SUCCESS' ? `MOCK${crypto.randomBytes(4).toString('hex').toUpperCase()}` : '';
+
+    logger.info('Mock gateway payment completed', {
+      collect_request_id: req.params.id,
+      outcome: req.body.outcome,
+      status
+    });
+
+    // A timed out payment never reaches the gateway, so no webhook is sent
+    if (req.body.webhook === 'true' && status !== 'PENDING') {
+      await sendWebhook(req.params.id, collectRequest);
+    }
+
+    const callbackUrl = new URL(collectRequest.callback_url);
+    callbackUrl.searchParams.set('EdvironCollectRequestId', req.params.id);
+    callbackUrl.searchParams.set('status', status);
+
+    res.redirect(302, callbackUrl.toString());
+  });
+
+  app.collectRequests = collectRequests;
+  app.refunds = refunds;
+
+  return app;
+};
+
+/**
+ * Start the mock gateway server
+ * @param {number} port - Port to listen on
+ * @returns {Object} HTTP server
+ */
+export const startMockGateway = (port = process.env.MOCK_GATEWAY_PORT || 5055) => {
+  const app = createMockGatewayApp();
+
+  return app.listen(port, () => {
+    logger.info('Mock payment gateway started', {
+      port,
+      webhookUrl: process.env.MOCK_GATEWAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`
+    });
+  });
+};
+
+// Start the server if this file is run directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startMockGateway();
+}
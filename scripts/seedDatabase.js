@@ -1,6 +1,6 @@
 import config from 'dotenv';
 import mongoose from 'mongoose';
-import { Order, OrderStatus } from '../src/models/index.js';
+import { Order, OrderStatus, School, Trustee } from '../src/models/index.js';
 import logger from '../src/utils/logger.js';
 
 // Dummy data arrays
@@ -24,6 +24,10 @@ const trusteeIds = [
   '65b0e552dd31950a9b41c5be'
 ];
 
+// Each school belongs to the trustee at the same index, except the last
+// trustee, who owns the last two schools
+const getSchoolTrusteeId = (schoolIndex) => trusteeIds[Math.min(schoolIndex, trusteeIds.length - 2)];
+
 // Generate random student data
 const generateStudentInfo = (index) => {
   const firstNames = ['John', 'Jane', 'Mike', 'Sarah', 'David', 'Lisa', 'Tom', 'Anna', 'Chris', 'Emma'];
@@ -68,6 +72,8 @@ const clearData = async () => {
   try {
     await OrderStatus.deleteMany({});
     await Order.deleteMany({});
+    await School.deleteMany({});
+    await Trustee.deleteMany({});
     logger.info('Cleared existing data');
   } catch (error) {
     logger.error('Error clearing data:', error);
@@ -75,14 +81,39 @@ const clearData = async () => {
   }
 };
 
+// Create dummy trustees and the schools they own
+const createTenants = async () => {
+  try {
+    const trustees = await Trustee.insertMany(trusteeIds.slice(0, -1).map((trusteeId, index) => ({
+      _id: new mongoose.Types.ObjectId(trusteeId),
+      name: `Trustee ${index + 1}`,
+      email: `trustee${index + 1}@school.edu`
+    })));
+
+    const schools = await School.insertMany(schoolIds.map((schoolId, index) => ({
+      _id: new mongoose.Types.ObjectId(schoolId),
+      name: `School ${index + 1}`,
+      trustee_id: new mongoose.Types.ObjectId(getSchoolTrusteeId(index)),
+      address: { city: 'Bengaluru', state: 'Karnataka' }
+    })));
+
+    logger.info(`Created ${trustees.length} trustees and ${schools.length} schools`);
+    return schools;
+  } catch (error) {
+    logger.error('Error creating trustees and schools:', error);
+    throw error;
+  }
+};
+
 // Create dummy orders
 const createOrders = async (count = 50) => {
   const orders = [];
   
   for (let i = 0; i < count; i++) {
+    const schoolIndex = Math.floor(Math.random() * schoolIds.length);
     const order = {
-      school_id: new mongoose.Types.ObjectId(schoolIds[Math.floor(Math.random() * schoolIds.length)]),
-      trustee_id: new mongoose.Types.ObjectId(trusteeIds[Math.floor(Math.random() * trusteeIds.length)]),
+      school_id: new mongoose.Types.ObjectId(schoolIds[schoolIndex]),
+      trustee_id: new mongoose.Types.ObjectId(getSchoolTrusteeId(schoolIndex)),
       student_info: generateStudentInfo(i),
       gateway_name: gateways[Math.floor(Math.random() * gateways.length)]
     };
@@ -111,16 +142,20 @@ const createOrderStatuses = async (orders) => {
                              status === 'failed' ? 0 : 
                              Math.floor(Math.random() * orderAmount);
     
+    const collectRequestId = `cr_${Math.random().toString(36).substring(2, 15)}`;
+
     const orderStatus = {
       collect_id: order._id,
       order_amount: orderAmount,
       transaction_amount: transactionAmount,
       payment_mode: paymentModes[Math.floor(Math.random() * paymentModes.length)],
       payment_details: JSON.stringify({
-        collect_request_id: `cr_${Math.random().toString(36).substring(2, 15)}`,
+        collect_request_id: collectRequestId,
         gateway_name: order.gateway_name,
         transaction_id: `txn_${Math.random().toString(36).substring(2, 15)}`
       }),
+      // insertMany skips save middleware, so this is set here
+      collect_request_id: collectRequestId,
       bank_reference: status === 'completed' ? `BNK${Math.random().toString(36).substring(2, 10).toUpperCase()}` : '',
       payment_message: status === 'completed' ? 'Payment successful' : 
                       status === 'failed' ? 'Payment failed due to insufficient funds' :
@@ -155,6 +190,9 @@ const seedDatabase = async () => {
     // Clear existing data
     await clearData();
     
+    // Create trustees and schools
+    await createTenants();
+    
     // Create orders
     const orders = await createOrders(50);
     
@@ -191,4 +229,4 @@ config.config({path: '../.env'});
   seedDatabase();
 
 
-export { seedDatabase, clearData, createOrders, createOrderStatuses };
\ No newline at end of file
+export { seedDatabase, clearData, createTenants, createOrders, createOrderStatuses };
\ No newline at end of file
@@ -0,0 +1,83 @@
+import apiKeyService from '../services/apiKeyService.js';
+import authService from '../services/authService.js';
+import logger from '../utils/logger.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class ApiKeyController {
+  /**
+   * Mint an API key (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createApiKey = catchAsync(async (req, res) => {
+    const { name, scopes, school_id, expires_at } = req.body;
+
+    const { apiKey, key } = await apiKeyService.createKey(
+      { name, scopes, school_id, expires_at },
+      req.user,
+      authService.getRequestContext(req)
+    );
+
+    logger.info('API key created', {
+      apiKeyId: apiKey._id,
+      scopes: apiKey.scopes,
+      schoolId: apiKey.school_id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Store the key somewhere safe; it is only shown once',
+      data: {
+        api_key: apiKey,
+        key
+      }
+    });
+  });
+
+  /**
+   * List API keys; trustees only see their own (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getApiKeys = catchAsync(async (req, res) => {
+    const { created_by, include_revoked } = req.query;
+
+    const apiKeys = await apiKeyService.listKeys(req.user, {
+      created_by,
+      includeRevoked: include_revoked === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: apiKeys.length,
+      data: {
+        api_keys: apiKeys
+      }
+    });
+  });
+
+  /**
+   * Revoke an API key (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeApiKey = catchAsync(async (req, res) => {
+    const apiKey = await apiKeyService.revokeKey(req.params.id, req.user, authService.getRequestContext(req));
+
+    logger.info('API key revoked', {
+      apiKeyId: apiKey._id,
+      revokedBy: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked successfully',
+      data: {
+        api_key: apiKey
+      }
+    });
+  });
+}
+
+export default new ApiKeyController();
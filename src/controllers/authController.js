@@ -1,32 +1,84 @@
+import crypto from 'crypto';
 import User from '../models/User.js';
 import authService from '../services/authService.js';
+import sessionService from '../services/sessionService.js';
+import mailService from '../services/mailService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import auditService from '../services/auditService.js';
+import schoolService from '../services/schoolService.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { catchAsync } from '../utils/asyncHelpers.js';
+import { buildUserDirectoryFilter, buildUserDirectorySort } from '../utils/userDirectoryQuery.js';
 
 class AuthController {
+  /**
+   * Email a verification link to a user. Failures are logged rather than
+   * thrown so the user can ask for the link again.
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async sendVerificationEmail(user) {
+    const token = authService.generateEmailVerificationToken(user);
+
+    try {
+      await mailService.sendEmailVerification(user, mailService.buildUrl(`/verify-email/${token}`));
+      return true;
+    } catch (error) {
+      logger.error('Verification email could not be sent', {
+        userId: user._id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Email a password reset link to a user. Failures are logged and the reset
+   * token is cleared so an unusable link isn't left behind.
+   * @param {Object} user - User document with a fresh reset token
+   * @param {string} resetToken - Plain reset token
+   * @returns {Promise<boolean>} True if the email was sent
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    try {
+      await mailService.sendPasswordReset(
+        user,
+        mailService.buildUrl(`/reset-password/${resetToken}`),
+        Math.round((user.passwordResetExpires - Date.now()) / 60000)
+      );
+      return true;
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.error('Password reset email could not be sent', {
+        userId: user._id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Register a new user
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   register = catchAsync(async (req, res) => {
-    const { username, email, password, role, trustee_id, school_id } = req.body;
+    const { username, email, password } = req.body;
 
     // Validate required fields
     if (!username || !email || !password) {
       throw new AppError('Username, email, and password are required', 400);
     }
 
-    // Validate role-specific fields
-    if ((role === 'trustee' || role === 'staff') && (!trustee_id || !school_id)) {
-      throw new AppError('Trustee ID and School ID are required for trustee and staff roles', 400);
-    }
-
+    // Self-registration only creates plain users; admins create every other role with POST /users
     logger.info('User registration attempt', {
       username,
-      email,
-      role: role || 'user'
+      email
     });
 
     // Check if user already exists
@@ -39,21 +91,12 @@ class AuthController {
       throw new AppError(`User with this ${field} already exists`, 409);
     }
 
-    // Create new user
-    const userData = {
+    const newUser = await User.create({
       username,
       email,
       password,
-      role: role || 'user'
-    };
-
-    // Add role-specific fields
-    if (role === 'trustee' || role === 'staff') {
-      userData.trustee_id = trustee_id;
-      userData.school_id = school_id;
-    }
-
-    const newUser = await User.create(userData);
+      role: 'user'
+    });
 
     logger.info('User registered successfully', {
       userId: newUser._id,
@@ -62,8 +105,11 @@ class AuthController {
       role: newUser.role
     });
 
+    // New accounts start unverified until the emailed link is used
+    await this.sendVerificationEmail(newUser);
+
     // Create and send token
-    authService.createSendToken(newUser, 201, res);
+    await authService.createSendToken(newUser, 201, req, res);
   });
 
   /**
@@ -84,10 +130,22 @@ class AuthController {
     // Check if user exists and password is correct
     const user = await User.findOne({ email }).select('+password');
 
+    // Locked or throttled accounts don't get their password checked at all
+    if (user) {
+      this.rejectBlockedLogin(user, res);
+    }
+
     if (!user || !(await user.correctPassword(password, user.password))) {
+      const reason = !user ? 'user_not_found' : 'incorrect_password';
+      const failure = user
+        ? await loginThrottleService.recordFailure(user, reason, authService.getRequestContext(req))
+        : {};
+
       logger.warn('Failed login attempt', {
         email,
-        reason: !user ? 'user_not_found' : 'incorrect_password'
+        reason,
+        failedAttempts: failure.failed_attempts,
+        lockedUntil: failure.locked_until
       });
       throw new AppError('Incorrect email or password', 401);
     }
@@ -101,6 +159,13 @@ class AuthController {
       throw new AppError('Your account has been deactivated. Please contact support', 401);
     }
 
+    // With 2FA on, the password only earns a challenge token for /login/2fa
+    if (user.twoFactorEnabled) {
+      return this.sendTwoFactorChallenge(user, 200, res);
+    }
+
+    await loginThrottleService.recordSuccess(user);
+
     // Update last login
     await user.updateLastLogin();
 
@@ -112,7 +177,101 @@ class AuthController {
     });
 
     // Create and send token
-    authService.createSendToken(user, 200, res);
+    await authService.createSendToken(user, 200, req, res);
+  });
+
+  /**
+   * Respond with a challenge token instead of logging in a user with 2FA on
+   * @param {Object} user - User document
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} res - Express response object
+   */
+  sendTwoFactorChallenge(user, statusCode, res) {
+    logger.info('Two-factor challenge issued', { userId: user._id });
+
+    res.status(statusCode).json({
+      status: 'success',
+      message: 'Two-factor authentication required',
+      data: {
+        two_factor_required: true,
+        challenge_token: twoFactorService.createChallengeToken(user)
+      }
+    });
+  }
+
+  /**
+   * Refuse a login attempt while the account is locked or throttled
+   * @param {Object} user - User document
+   * @param {Object} res - Express response object
+   */
+  rejectBlockedLogin(user, res) {
+    const block = loginThrottleService.getLoginBlock(user);
+
+    if (!block) {
+      return;
+    }
+
+    logger.warn('Blocked login attempt', {
+      userId: user._id,
+      reason: block.reason,
+      retryAfterSeconds: block.retry_after_seconds
+    });
+
+    res.set('Retry-After', String(block.retry_after_seconds));
+
+    if (block.reason === 'locked') {
+      throw new AppError('Account temporarily locked after too many failed login attempts. Please try again later', 423);
+    }
+
+    throw new AppError(`Too many failed login attempts. Please wait ${block.retry_after_seconds} seconds and try again`, 429);
+  }
+
+  /**
+   * Finish a login that needs a two-factor code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  loginTwoFactor = catchAsync(async (req, res) => {
+    const { challenge_token, code } = req.body;
+
+    const payload = twoFactorService.verifyChallengeToken(challenge_token);
+    const user = await User.findById(payload.id);
+
+    if (!user || !user.isActive) {
+      throw new AppError('Two-factor challenge is invalid or has expired. Please log in again', 401);
+    }
+
+    this.rejectBlockedLogin(user, res);
+
+    let verification;
+    try {
+      verification = await twoFactorService.verifyCode(user, code);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        const failure = await loginThrottleService.recordFailure(user, 'invalid_two_factor_code', authService.getRequestContext(req));
+
+        logger.warn('Failed login attempt', {
+          email: user.email,
+          reason: 'invalid_two_factor_code',
+          failedAttempts: failure.failed_attempts,
+          lockedUntil: failure.locked_until
+        });
+      }
+      throw error;
+    }
+
+    await loginThrottleService.recordSuccess(user);
+    await user.updateLastLogin();
+
+    logger.info('User logged in successfully', {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      twoFactorMethod: verification.method
+    });
+
+    await authService.createSendToken(user, 200, req, res);
   });
 
   /**
@@ -121,15 +280,17 @@ class AuthController {
    * @param {Object} res - Express response object
    */
   logout = catchAsync(async (req, res) => {
-    // Clear JWT cookie
-    res.cookie('jwt', 'loggedout', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    // Revoke the session so its refresh token and access tokens stop working
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.sessionId, 'logout');
+    }
+
+    authService.clearAuthCookies(res);
 
     logger.info('User logged out', {
       userId: req.user?._id,
-      username: req.user?.username
+      username: req.user?.username,
+      sessionId: req.sessionId
     });
 
     res.status(200).json({
@@ -138,6 +299,95 @@ class AuthController {
     });
   });
 
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  refreshToken = catchAsync(async (req, res) => {
+    const refreshToken = authService.extractRefreshTokenFromRequest(req);
+
+    if (!refreshToken) {
+      throw new AppError('Refresh token is required', 401);
+    }
+
+    const { session, refreshToken: newRefreshToken } = await sessionService.rotateRefreshToken(
+      refreshToken,
+      authService.getRequestContext(req)
+    );
+
+    const user = await User.findById(session.user_id);
+
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(session._id, 'logout');
+      throw new AppError('Your account has been deactivated. Please contact support', 401);
+    }
+
+    logger.info('Session refreshed', {
+      userId: user._id,
+      sessionId: session._id
+    });
+
+    authService.sendTokens(user, session, newRefreshToken, 200, res);
+  });
+
+  /**
+   * Verify an email address using the token from a verification link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  verifyEmail = catchAsync(async (req, res) => {
+    const payload = authService.verifyEmailVerificationToken(req.params.token);
+
+    const user = await User.findById(payload.id);
+
+    // The link is only good for the address it was sent to
+    if (!user || user.email !== payload.email) {
+      throw new AppError('Email verification link is invalid or has expired', 400);
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('User email verified', {
+        userId: user._id,
+        email: user.email
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: {
+        user
+      }
+    });
+  });
+
+  /**
+   * Send a new verification link to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  resendVerificationEmail = catchAsync(async (req, res) => {
+    if (req.user.emailVerified) {
+      throw new AppError('Your email is already verified', 400);
+    }
+
+    const sent = await this.sendVerificationEmail(req.user);
+
+    if (!sent) {
+      throw new AppError('Verification email could not be sent. Please try again later', 503);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  });
+
   /**
    * Get current user
    * @param {Object} req - Express request object
@@ -178,12 +428,23 @@ class AuthController {
       if (allowedFields.includes(el)) filteredBody[el] = req.body[el];
     });
 
+    // A new email address has to be verified again
+    const emailChanged = filteredBody.email && filteredBody.email !== req.user.email;
+    if (emailChanged) {
+      filteredBody.emailVerified = false;
+      filteredBody.emailVerifiedAt = null;
+    }
+
     // Update user document
     const updatedUser = await User.findByIdAndUpdate(req.user._id, filteredBody, {
       new: true,
       runValidators: true
     });
 
+    if (emailChanged) {
+      await this.sendVerificationEmail(updatedUser);
+    }
+
     logger.info('User profile updated', {
       userId: updatedUser._id,
       updatedFields: Object.keys(filteredBody)
@@ -226,13 +487,145 @@ class AuthController {
     user.password = password;
     await user.save();
 
+    // Sign out every device; the caller gets a fresh session below
+    await sessionService.revokeUserSessions(user._id, 'password_changed');
+
     logger.info('User password updated', {
       userId: user._id,
       username: user.username
     });
 
     // Log user in, send JWT
-    authService.createSendToken(user, 200, res);
+    await authService.createSendToken(user, 200, req, res);
+  });
+
+  /**
+   * Send a password reset link to the user's email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  forgotPassword = catchAsync(async (req, res) => {
+    const { email } = req.body;
+
+    logger.info('Password reset requested', { email });
+
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists, so emails can't be probed
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      await this.sendPasswordResetEmail(user, resetToken);
+    } else {
+      logger.warn('Password reset requested for unknown or inactive account', { email });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  });
+
+  /**
+   * Reset password using a token from a password reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  resetPassword = catchAsync(async (req, res) => {
+    const { password, passwordConfirm } = req.body;
+
+    if (password !== passwordConfirm) {
+      throw new AppError('Password and password confirmation do not match', 400);
+    }
+
+    const user = await User.findByPasswordResetToken(req.params.token);
+
+    if (!user) {
+      throw new AppError('Password reset token is invalid or has expired', 400);
+    }
+
+    if (!user.isActive) {
+      throw new AppError('Your account has been deactivated. Please contact support', 401);
+    }
+
+    // Saving a new password sets passwordChangedAt, which invalidates older JWTs
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await sessionService.revokeUserSessions(user._id, 'password_changed');
+
+    // Proving access to the inbox lifts a lockout
+    await loginThrottleService.recordSuccess(user);
+
+    logger.info('User password reset', {
+      userId: user._id,
+      username: user.username
+    });
+
+    // Access to the inbox alone must not get past 2FA
+    if (user.twoFactorEnabled) {
+      return this.sendTwoFactorChallenge(user, 200, res);
+    }
+
+    await authService.createSendToken(user, 200, req, res);
+  });
+
+  /**
+   * Start two-factor enrollment for the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  enrollTwoFactor = catchAsync(async (req, res) => {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the otpauth URI with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+  });
+
+  /**
+   * Confirm two-factor enrollment with a code from the authenticator app
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  confirmTwoFactor = catchAsync(async (req, res) => {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  });
+
+  /**
+   * Turn off two-factor authentication for the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  disableTwoFactor = catchAsync(async (req, res) => {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.correctPassword(password, user.password))) {
+      throw new AppError('Your current password is wrong', 401);
+    }
+
+    await twoFactorService.verifyCode(user, code);
+    await twoFactorService.disable(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
   });
 
   /**
@@ -248,6 +641,16 @@ class AuthController {
       username: req.user.username
     });
 
+    await auditService.record({
+      action: 'user_deactivated',
+      actorId: req.user._id,
+      targetUserId: req.user._id,
+      context: authService.getRequestContext(req),
+      details: {
+        reason: 'self'
+      }
+    });
+
     res.status(204).json({
       status: 'success',
       data: null
@@ -255,15 +658,45 @@ class AuthController {
   });
 
   /**
-   * Get all users (admin only)
+   * Search the user directory with paging, filters and sorting. Trustees only
+   * see users under their own trustee_id.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   getAllUsers = catchAsync(async (req, res) => {
-    const users = await User.find({ isActive: true });
+    const { page = 1, limit = 20, sort = 'createdAt', dir = 'desc', ...filters } = req.query;
+
+    if (req.user.role === 'trustee') {
+      const ownTrusteeId = req.user.trustee_id?.toString();
+
+      if (!ownTrusteeId) {
+        throw new AppError('Your account is not linked to a trustee', 403);
+      }
+
+      if (filters.trustee_id && filters.trustee_id !== ownTrusteeId) {
+        throw new AppError('You can only list users under your own trustee account', 403);
+      }
+
+      filters.trustee_id = ownTrusteeId;
+    }
+
+    const filter = buildUserDirectoryFilter(filters);
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    logger.info('All users retrieved', {
+    const [users, total_count] = await Promise.all([
+      User.find(filter)
+        .sort(buildUserDirectorySort(sort, dir))
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    logger.info('User directory retrieved', {
       count: users.length,
+      total_count,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      search: filters.q,
       requestedBy: req.user._id
     });
 
@@ -271,7 +704,11 @@ class AuthController {
       status: 'success',
       results: users.length,
       data: {
-        users
+        users,
+        total_count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total_pages: Math.ceil(total_count / parseInt(limit))
       }
     });
   });
@@ -301,6 +738,430 @@ class AuthController {
     });
   });
 
+  /**
+   * Create a user with any role (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createUser = catchAsync(async (req, res) => {
+    const { username, email, password, role = 'user', trustee_id, school_id } = req.body;
+
+    if ((role === 'trustee' || role === 'staff') && (!trustee_id || !school_id)) {
+      throw new AppError('Trustee ID and School ID are required for trustee and staff roles', 400);
+    }
+
+    await schoolService.assertValidAssignment(trustee_id, school_id);
+
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+
+    if (existingUser) {
+      const field = existingUser.email === email ? 'email' : 'username';
+      throw new AppError(`User with this ${field} already exists`, 409);
+    }
+
+    const newUser = await User.create({
+      username,
+      email,
+      password,
+      role,
+      trustee_id,
+      school_id
+    });
+
+    await auditService.record({
+      action: 'user_created',
+      actorId: req.user._id,
+      targetUserId: newUser._id,
+      context: authService.getRequestContext(req),
+      details: {
+        username: newUser.username,
+        email: newUser.email,
+        role: newUser.role,
+        trustee_id: newUser.trustee_id,
+        school_id: newUser.school_id
+      }
+    });
+
+    await this.sendVerificationEmail(newUser);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'User created successfully',
+      data: {
+        user: newUser
+      }
+    });
+  });
+
+  /**
+   * Change a user's role, trustee or school (admin only). Passing null for
+   * trustee_id or school_id clears it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateUser = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    if (req.body.role !== undefined && user._id.equals(req.user._id) && req.body.role !== user.role) {
+      throw new AppError('You cannot change your own role', 400);
+    }
+
+    const changes = {};
+    for (const field of ['role', 'trustee_id', 'school_id']) {
+      if (req.body[field] === undefined) continue;
+
+      const from = user[field]?.toString() ?? null;
+      const to = req.body[field] ?? null;
+
+      if (from !== to) {
+        user[field] = to ?? undefined;
+        changes[field] = { from, to };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new AppError('No changes to apply', 400);
+    }
+
+    // Same rule as the schema's conditional required, with a clearer message
+    if ((user.role === 'trustee' || user.role === 'staff') && (!user.trustee_id || !user.school_id)) {
+      throw new AppError('Trustee ID and School ID are required for trustee and staff roles', 400);
+    }
+
+    if (changes.trustee_id || changes.school_id) {
+      await schoolService.assertValidAssignment(user.trustee_id, user.school_id);
+    }
+
+    await user.save();
+
+    await auditService.record({
+      action: 'user_updated',
+      actorId: req.user._id,
+      targetUserId: user._id,
+      context: authService.getRequestContext(req),
+      details: { changes }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User updated successfully',
+      data: {
+        user
+      }
+    });
+  });
+
+  /**
+   * Deactivate a user and sign out all their sessions (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deactivateUser = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    if (user._id.equals(req.user._id)) {
+      throw new AppError('You cannot deactivate your own account here', 400);
+    }
+
+    if (!user.isActive) {
+      throw new AppError('User is already deactivated', 400);
+    }
+
+    user.isActive = false;
+    await user.save({ validateBeforeSave: false });
+
+    const revokedCount = await sessionService.revokeUserSessions(user._id, 'admin_revoked', undefined, req.user._id);
+
+    await auditService.record({
+      action: 'user_deactivated',
+      actorId: req.user._id,
+      targetUserId: user._id,
+      context: authService.getRequestContext(req),
+      details: {
+        reason: req.body?.reason || '',
+        revoked_sessions: revokedCount
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User deactivated successfully',
+      data: {
+        user
+      }
+    });
+  });
+
+  /**
+   * Reactivate a deactivated user (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  reactivateUser = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    if (user.isActive) {
+      throw new AppError('User is already active', 400);
+    }
+
+    user.isActive = true;
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.record({
+      action: 'user_reactivated',
+      actorId: req.user._id,
+      targetUserId: user._id,
+      context: authService.getRequestContext(req),
+      details: {
+        reason: req.body?.reason || ''
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User reactivated successfully',
+      data: {
+        user
+      }
+    });
+  });
+
+  /**
+   * Force a user to choose a new password (admin only). The current password
+   * stops working, all sessions are signed out and a reset link is emailed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  forcePasswordReset = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    // Replace the password with one nobody knows, so only the reset link gets back in
+    user.password = crypto.randomBytes(32).toString('hex');
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const revokedCount = await sessionService.revokeUserSessions(user._id, 'password_changed', undefined, req.user._id);
+    const emailSent = user.isActive ? await this.sendPasswordResetEmail(user, resetToken) : false;
+
+    await auditService.record({
+      action: 'password_reset_forced',
+      actorId: req.user._id,
+      targetUserId: user._id,
+      context: authService.getRequestContext(req),
+      details: {
+        revoked_sessions: revokedCount,
+        email_sent: emailSent
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: emailSent
+        ? 'Password reset forced and a reset link has been emailed to the user'
+        : 'Password reset forced, but the reset link could not be emailed. The user can request one with forgot password',
+      data: {
+        email_sent: emailSent,
+        revoked_sessions: revokedCount
+      }
+    });
+  });
+
+  /**
+   * List audit log entries (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAuditLogs = catchAsync(async (req, res) => {
+    const { action, actor_id, target_user_id, page = 1, limit = 20 } = req.query;
+
+    const { logs, total } = await auditService.list({
+      action,
+      actor_id,
+      target_user_id,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      data: {
+        audit_logs: logs,
+        total_count: total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total_pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * List the current user's active sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getMySessions = catchAsync(async (req, res) => {
+    const sessions = await sessionService.listUserSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions
+      }
+    });
+  });
+
+  /**
+   * Sign out one of the current user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeMySession = catchAsync(async (req, res) => {
+    await sessionService.revokeUserSession(req.user._id, req.params.sessionId, 'user_revoked', req.user._id);
+
+    logger.info('Session revoked by user', {
+      userId: req.user._id,
+      sessionId: req.params.sessionId
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  });
+
+  /**
+   * Sign out every session of the current user except this one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeOtherSessions = catchAsync(async (req, res) => {
+    const revokedCount = await sessionService.revokeUserSessions(req.user._id, 'user_revoked', req.sessionId, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Other sessions revoked successfully',
+      data: {
+        revoked_count: revokedCount
+      }
+    });
+  });
+
+  /**
+   * List a user's active sessions (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getUserSessions = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    const sessions = await sessionService.listUserSessions(user._id, req.sessionId);
+
+    logger.info('User sessions retrieved by admin', {
+      userId: user._id,
+      requestedBy: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions
+      }
+    });
+  });
+
+  /**
+   * Sign out one of a user's sessions (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeUserSession = catchAsync(async (req, res) => {
+    await sessionService.revokeUserSession(req.params.id, req.params.sessionId, 'admin_revoked', req.user._id);
+
+    logger.info('User session revoked by admin', {
+      userId: req.params.id,
+      sessionId: req.params.sessionId,
+      revokedBy: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  });
+
+  /**
+   * Sign out every session of a user (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeUserSessions = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    // An admin signing themselves out everywhere keeps the session they are using
+    const exceptSessionId = user._id.equals(req.user._id) ? req.sessionId : undefined;
+    const revokedCount = await sessionService.revokeUserSessions(user._id, 'admin_revoked', exceptSessionId, req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User sessions revoked successfully',
+      data: {
+        revoked_count: revokedCount
+      }
+    });
+  });
+
+  /**
+   * Lift a login lockout (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  unlockUser = catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new AppError('No user found with that ID', 404);
+    }
+
+    const wasLocked = await loginThrottleService.unlock(user, req.user._id, authService.getRequestContext(req));
+
+    res.status(200).json({
+      status: 'success',
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked; failed login attempts cleared',
+      data: {
+        was_locked: wasLocked
+      }
+    });
+  });
+
   /**
    * Authentication service health check
    * @param {Object} req - Express request object
@@ -320,6 +1181,8 @@ class AuthController {
       message: isHealthy ? 'Authentication service is healthy' : 'Authentication service has configuration issues',
       data: {
         auth_service: authServiceStatus,
+        two_factor: twoFactorService.getConfigStatus(),
+        login_throttle: loginThrottleService.getConfigStatus(),
         overall_health: isHealthy
       }
     });
@@ -0,0 +1,212 @@
+import feeStructureService from '../services/feeStructureService.js';
+import tenantScopeService from '../services/tenantScopeService.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class FeeStructureController {
+  /**
+   * Create a fee structure for a school and academic year (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createFeeStructure = catchAsync(async (req, res) => {
+    const { school_id, academic_year, fee_heads } = req.body;
+
+    const feeStructure = await feeStructureService.createFeeStructure(
+      { school_id, academic_year, fee_heads },
+      req.user
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Fee structure created successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * List fee structures in the caller's schools
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getFeeStructures = catchAsync(async (req, res) => {
+    const { school_id, academic_year, include_inactive } = req.query;
+
+    const feeStructures = await feeStructureService.listFeeStructures(tenantScopeService.getFilter(req), {
+      school_id,
+      academic_year,
+      includeInactive: include_inactive === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: feeStructures.length,
+      data: {
+        fee_structures: feeStructures
+      }
+    });
+  });
+
+  /**
+   * Get a fee structure by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getFeeStructure = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.getFeeStructure(req.params.id, tenantScopeService.getFilter(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Change a fee structure's academic year or active flag (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateFeeStructure = catchAsync(async (req, res) => {
+    const { academic_year, isActive } = req.body;
+
+    const feeStructure = await feeStructureService.updateFeeStructure(
+      req.params.id,
+      tenantScopeService.getFilter(req),
+      { academic_year, isActive }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Fee structure updated successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Delete a fee structure without payments (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteFeeStructure = catchAsync(async (req, res) => {
+    await feeStructureService.deleteFeeStructure(req.params.id, tenantScopeService.getFilter(req));
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
+
+  /**
+   * Add a fee head to a fee structure (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  addFeeHead = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.addFeeHead(
+      req.params.id,
+      tenantScopeService.getFilter(req),
+      req.body
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Fee head added successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Change a fee head (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateFeeHead = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.updateFeeHead(
+      req.params.id,
+      req.params.feeHeadId,
+      tenantScopeService.getFilter(req),
+      req.body
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Fee head updated successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Remove a fee head without payments (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  removeFeeHead = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.removeFeeHead(
+      req.params.id,
+      req.params.feeHeadId,
+      tenantScopeService.getFilter(req)
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Fee head removed successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Set or replace a fee head's installment plan (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  setInstallmentPlan = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.setInstallmentPlan(
+      req.params.id,
+      req.params.feeHeadId,
+      tenantScopeService.getFilter(req),
+      req.body.installments
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Installment plan saved successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+
+  /**
+   * Remove a fee head's installment plan (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  removeInstallmentPlan = catchAsync(async (req, res) => {
+    const feeStructure = await feeStructureService.removeInstallmentPlan(
+      req.params.id,
+      req.params.feeHeadId,
+      tenantScopeService.getFilter(req)
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Installment plan removed successfully',
+      data: {
+        fee_structure: feeStructure
+      }
+    });
+  });
+}
+
+export default new FeeStructureController();
@@ -1,9 +1,19 @@
-import { Order, OrderStatus } from '../models/index.js';
-import paymentService from '../services/paymentService.js';
-import paymentJWTService from '../utils/paymentJWT.js';
+import { Order, OrderStatus, Refund, WebhookLog } from '../models/index.js';
+import webhookService from '../services/webhookService.js';
+import transactionExportService from '../services/transactionExportService.js';
+import analyticsService from '../services/analyticsService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import schoolService from '../services/schoolService.js';
+import feeStructureService from '../services/feeStructureService.js';
+import studentService from '../services/studentService.js';
+import ledgerService from '../services/ledgerService.js';
+import refundService from '../services/refundService.js';
+import tenantScopeService from '../services/tenantScopeService.js';
+import { getGatewayAdapter } from '../services/gateways/index.js';
 import logger from '../utils/logger.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { catchAsync } from '../utils/asyncHelpers.js';
+import { buildTransactionPipeline, buildTransactionSort } from '../utils/transactionPipeline.js';
 import mongoose from 'mongoose';
 
 class PaymentController {
@@ -13,11 +23,11 @@ class PaymentController {
    * @param {Object} res - Express response object
    */
   createPayment = catchAsync(async (req, res) => {
-    const { amount, callback_url, student_info, gateway_name } = req.body;
+    const { amount, callback_url, student_info, gateway_name, fee_head_ids, installment_ids } = req.body;
 
     // Validate required fields
-    if (!amount || !callback_url || !student_info || !gateway_name) {
-      throw new AppError('Missing required fields: amount, callback_url, student_info, gateway_name', 400);
+    if ((!amount && !fee_head_ids?.length && !installment_ids?.length) || !callback_url || !student_info || !gateway_name) {
+      throw new AppError('Missing required fields: amount, fee_head_ids or installment_ids, callback_url, student_info, gateway_name', 400);
     }
 
     // Validate student_info structure
@@ -25,26 +35,69 @@ class PaymentController {
       throw new AppError('Student info must include name, id, and email', 400);
     }
 
+    // Collect for the requested school, else the API key's or the user's own school
+    const school = await schoolService.resolvePaymentSchool(req.user, req.body.school_id, req.apiKey);
+
+    apiKeyService.assertSchoolAccess(req, school._id);
+
+    const school_id = school._id.toString();
+    const trustee_id = school.trustee_id;
+
+    // Fee heads and installments are priced from the school's fee structure; a client
+    // amount must agree. Registered students are checked against their recorded class.
+    let fees = null;
+    let student = null;
+    if (fee_head_ids?.length || installment_ids?.length) {
+      student = await studentService.findBySchoolStudentId(school._id, student_info.id);
+      fees = await feeStructureService.resolveFeeHeads(
+        school._id,
+        { feeHeadIds: fee_head_ids || [], installmentIds: installment_ids || [] },
+        student?.class || student_info.class
+      );
+    }
+
+    if (fees && amount !== undefined && parseFloat(amount) !== fees.amount) {
+      throw new AppError(`Amount does not match the selected fees (${fees.amount})`, 400);
+    }
+
     // Validate amount is positive number
-    const numericAmount = parseFloat(amount);
+    const numericAmount = fees ? fees.amount : parseFloat(amount);
     if (isNaN(numericAmount) || numericAmount <= 0) {
       throw new AppError('Amount must be a positive number', 400);
     }
 
-    // Get school_id and trustee_id from environment or request
-    const school_id = process.env.SCHOOL_ID;
-    const trustee_id = req.body.trustee_id || req.user?.trustee_id;
+    const order = new Order({
+      school_id,
+      trustee_id,
+      student_info: {
+        name: student_info.name,
+        id: student_info.id,
+        email: student_info.email
+      },
+      gateway_name,
+      fee_heads: fees?.fee_heads
+    });
 
-    if (!school_id) {
-      throw new AppError('School ID not configured', 500);
-    }
+    if (fees) {
+      // Claimed before the ledger check, so a concurrent order for the same items is refused
+      await ledgerService.claimFees(order, fees.claims);
 
-    if (!trustee_id) {
-      throw new AppError('Trustee ID is required', 400);
+      try {
+        // Unregistered students are matched on their orders like registered ones
+        await ledgerService.assertPayable(
+          student || { school_id: school._id, student_id: student_info.id, class: student_info.class },
+          fees.fee_heads
+        );
+      } catch (error) {
+        await ledgerService.releaseFees(order._id);
+        throw error;
+      }
     }
 
     logger.info('Creating payment request', {
-      amount,
+      amount: numericAmount,
+      fee_head_ids,
+      installment_ids,
       school_id,
       trustee_id,
       student_info: {
@@ -57,17 +110,6 @@ class PaymentController {
 
     try {
       // Create order in database first
-      const order = new Order({
-        school_id,
-        trustee_id,
-        student_info: {
-          name: student_info.name,
-          id: student_info.id,
-          email: student_info.email
-        },
-        gateway_name
-      });
-
       await order.save();
 
       logger.info('Order created in database', {
@@ -76,25 +118,17 @@ class PaymentController {
         student_email: student_info.email
       });
 
-      // Create JWT signature for payment API
-      const jwtPayload = {
-        school_id,
-        amount: amount.toString(),
-        callback_url
-      };
-
-      const sign = paymentJWTService.signCreateCollectRequest(jwtPayload);
+      // Call the order's gateway to create collect request
+      const gateway = getGatewayAdapter(gateway_name);
 
-      // Call payment service to create collect request
       const paymentData = {
         school_id,
-        amount: amount.toString(),
+        amount: numericAmount.toString(),
         callback_url,
-        sign
+        credentials: await schoolService.getGatewayCredentials(school._id)
       };
 
-      const paymentResult = await paymentService.createCollectRequest(paymentData);
-      //console.log(paymentR)
+      const paymentResult = await gateway.createCollectRequest(paymentData);
 
       if (!paymentResult.success) {
         // If payment API fails, we should log but not delete the order
@@ -139,6 +173,7 @@ class PaymentController {
           collect_request_id: paymentResult.data.collect_request_id,
           payment_url: paymentResult.data.payment_url,
           amount: numericAmount,
+          fee_heads: order.fee_heads,
           student_info: {
             name: student_info.name,
             id: student_info.id,
@@ -154,6 +189,13 @@ class PaymentController {
         student_email: student_info?.email
       });
 
+      // A failed creation leaves no order we track in flight, so the items can be paid again
+      if (fees) {
+        await ledgerService.releaseFees(order._id).catch(releaseError => {
+          logger.warn('Failed to release fee claims', { orderId: order._id, error: releaseError.message });
+        });
+      }
+
       // Re-throw AppError as-is, wrap others
       if (error instanceof AppError) {
         throw error;
@@ -181,26 +223,36 @@ class PaymentController {
       order_id
     });
 
-    // Get school_id from environment
-    const school_id = process.env.SCHOOL_ID;
-    if (!school_id) {
-      throw new AppError('School ID not configured', 500);
+    // Pick the gateway and school that created this collect request
+    let knownOrderStatus = order_id ? null : await OrderStatus.findByCollectRequestId(collect_request_id);
+    const orderId = order_id || knownOrderStatus?.collect_id;
+    const order = orderId ? await tenantScopeService.findOrder(req, orderId) : null;
+
+    // The polled status is written to order_id, so it must be that order's own collect request
+    if (order_id) {
+      knownOrderStatus = await OrderStatus.findOne({ collect_id: order._id });
+
+      if (knownOrderStatus?.getPaymentDetails().collect_request_id !== collect_request_id) {
+        throw new AppError('Collect request does not belong to this order', 400);
+      }
     }
 
-    // Create JWT signature for status check
-    const jwtPayload = {
-      school_id,
-      collect_request_id
-    };
+    // Known orders are checked against their own school, unknown ones against the caller's
+    const school = order
+      ? await schoolService.getAccessibleSchool(order.school_id, req.user)
+      : await schoolService.resolvePaymentSchool(req.user, req.query.school_id, req.apiKey);
 
-    const sign = paymentJWTService.signStatusCheck(jwtPayload);
+    apiKeyService.assertSchoolAccess(req, school._id);
 
-    // Call payment service to check status
-    const statusResult = await paymentService.checkPaymentStatus(
+    const school_id = school._id.toString();
+    const gateway = getGatewayAdapter(order?.gateway_name || knownOrderStatus?.getPaymentDetails().gateway_name);
+
+    // Call the gateway to check status
+    const statusResult = await gateway.checkStatus({
       collect_request_id,
       school_id,
-      sign
-    );
+      credentials: await schoolService.getGatewayCredentials(school._id)
+    });
 
     if (!statusResult.success) {
       logger.error('Payment status check failed', {
@@ -217,25 +269,20 @@ class PaymentController {
     // If order_id is provided, update the order status in database
     if (order_id) {
       try {
-        const orderStatus = await OrderStatus.findOne({ collect_id: order_id });
-        
+        const orderStatus = knownOrderStatus;
+
         if (orderStatus) {
           // Map API status to our status enum
-          let dbStatus = 'pending';
-          if (statusResult.data.status === 'SUCCESS') {
-            dbStatus = 'completed';
-          } else if (statusResult.data.status === 'FAILED') {
-            dbStatus = 'failed';
-          }
-
-          // Update order status
-          orderStatus.status = dbStatus;
-          orderStatus.transaction_amount = statusResult.data.amount || orderStatus.order_amount;
-          orderStatus.payment_message = `Payment ${statusResult.data.status}`;
-          
-          if (dbStatus === 'completed') {
-            orderStatus.payment_time = new Date();
-          }
+          const dbStatus = gateway.mapStatus(statusResult.data.status);
+
+          // Update order status (rejects moves such as completed -> pending)
+          orderStatus.applyStatusCheck(dbStatus, {
+            gateway_status: statusResult.data.status,
+            amount: statusResult.data.amount
+          }, {
+            source: 'poll',
+            changed_by: req.user?._id
+          });
 
           await orderStatus.save();
 
@@ -247,11 +294,20 @@ class PaymentController {
           });
         }
       } catch (dbError) {
-        logger.error('Failed to update order status in database', {
-          order_id,
-          collect_request_id,
-          error: dbError.message
-        });
+        if (dbError instanceof AppError && dbError.statusCode === 409) {
+          logger.warn('Polled status rejected by order status rules', {
+            order_id,
+            collect_request_id,
+            gateway_status: statusResult.data.status,
+            error: dbError.message
+          });
+        } else {
+          logger.error('Failed to update order status in database', {
+            order_id,
+            collect_request_id,
+            error: dbError.message
+          });
+        }
         // Don't throw error here, still return API status
       }
     }
@@ -276,127 +332,223 @@ class PaymentController {
   });
 
   /**
-   * Fetch all transactions using MongoDB aggregation
+   * Handle payment gateway webhook callback
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  getAllTransactions = catchAsync(async (req, res) => {
-    const { page = 1, limit = 20, q = '', status = '', schools = '', from = '', to = '', sort = 'createdAt', dir = 'desc' } = req.query;
+  handleWebhook = catchAsync(async (req, res) => {
+    const collect_request_id = req.body?.order_info?.order_id;
+    const gateway_name = req.params.gateway_name || getGatewayAdapter().name;
 
-    logger.info('Fetching all transactions', {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      search: q,
-      status,
-      schools,
-      dateFrom: from,
-      dateTo: to,
-      sortField: sort,
-      sortDir: dir
+    logger.info('Payment webhook received', {
+      gateway_name,
+      collect_request_id,
+      gateway_status: req.body?.order_info?.status,
+      ip: req.ip
     });
 
-    // Build match conditions
-    const matchConditions = {};
+    const verificationResult = await webhookService.verifySignature(req.body, gateway_name);
 
-    // Add date range filter
-    if (from || to) {
-      matchConditions.createdAt = {};
-      if (from) matchConditions.createdAt.$gte = new Date(from);
-      if (to) matchConditions.createdAt.$lte = new Date(to + 'T23:59:59.999Z');
+    // Stored with the signature result so it can be inspected or replayed;
+    // rejected events are only kept for a short time
+    const webhookLog = await webhookService.logEvent({
+      headers: req.headers,
+      body: req.body,
+      ip: req.ip,
+      gateway_name,
+      verificationResult
+    });
+
+    if (!verificationResult.success) {
+      logger.warn('Payment webhook signature verification failed', {
+        collect_request_id,
+        error: verificationResult.error,
+        ip: req.ip
+      });
+      throw new AppError('Invalid webhook signature', 401);
     }
 
-    // Build aggregation pipeline
-    const pipeline = [
-      {
-        $lookup: {
-          from: 'orders',
-          localField: 'collect_id',
-          foreignField: '_id',
-          as: 'order_details'
-        }
-      },
-      {
-        $unwind: '$order_details'
-      },
-      {
-        $project: {
-          collect_id: 1,
-          collect_request_id: '$collect_id',
-          school_id: '$order_details.school_id',
-          gateway: '$order_details.gateway_name',
-          gateway_name: '$order_details.gateway_name',
-          order_amount: 1,
-          transaction_amount: 1,
-          status: 1,
-          custom_order_id: '$collect_id',
-          order_id: '$collect_id',
-          payment_time: 1,
-          createdAt: 1,
-          updatedAt: 1
-        }
+    const orderStatus = await webhookService.processLoggedEvent(webhookLog);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook processed successfully',
+      data: {
+        order_id: orderStatus.collect_id,
+        collect_request_id,
+        status: orderStatus.status
       }
-    ];
+    });
+  });
+
+  /**
+   * List stored webhook events (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getWebhookLogs = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, collect_request_id = '', processing_status = '', signature_valid = '', from = '', to = '' } = req.query;
+
+    const filter = {};
 
-    // Add match stage if we have conditions
-    if (Object.keys(matchConditions).length > 0) {
-      pipeline.push({ $match: matchConditions });
+    if (collect_request_id) {
+      filter.collect_request_id = collect_request_id;
     }
 
-    // Add status filter
-    if (status) {
-      const statusArray = status.split(',').filter(Boolean);
+    if (processing_status) {
+      const statusArray = processing_status.split(',').filter(Boolean);
       if (statusArray.length > 0) {
-        pipeline.push({
-          $match: {
-            status: { $in: statusArray }
-          }
-        });
+        filter.processing_status = { $in: statusArray };
       }
     }
 
-    // Add schools filter
-    if (schools) {
-      const schoolsArray = schools.split(',').filter(Boolean);
-      if (schoolsArray.length > 0) {
-        pipeline.push({
-          $match: {
-            school_id: { $in: schoolsArray.map(id => {
-              // Handle both ObjectId and string school IDs
-              try {
-                return new mongoose.Types.ObjectId(id);
-              } catch {
-                return id;
-              }
-            }) }
-          }
-        });
+    if (signature_valid === 'true' || signature_valid === 'false') {
+      filter.signature_valid = signature_valid === 'true';
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to + 'T23:59:59.999Z');
+    }
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const [webhookLogs, total_count] = await Promise.all([
+      WebhookLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      WebhookLog.countDocuments(filter)
+    ]);
+
+    logger.info('Webhook logs retrieved', {
+      count: webhookLogs.length,
+      total_count,
+      requestedBy: req.user._id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook logs retrieved successfully',
+      data: {
+        webhook_logs: webhookLogs,
+        total_count,
+        page: pageNumber,
+        limit: limitNumber,
+        total_pages: Math.ceil(total_count / limitNumber)
       }
+    });
+  });
+
+  /**
+   * Get a single stored webhook event (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getWebhookLog = catchAsync(async (req, res) => {
+    const webhookLog = await WebhookLog.findById(req.params.id);
+
+    if (!webhookLog) {
+      throw new AppError('No webhook log found with that ID', 404);
     }
 
-    // Add search filter
-    if (q) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { status: { $regex: q, $options: 'i' } },
-            { gateway: { $regex: q, $options: 'i' } },
-            { school_id: { $regex: q, $options: 'i' } }
-          ]
-        }
+    res.status(200).json({
+      status: 'success',
+      data: {
+        webhook_log: webhookLog
+      }
+    });
+  });
+
+  /**
+   * Replay a stored webhook event through the webhook handler (admin only).
+   * Only events whose signature was valid when received can be replayed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  replayWebhookLog = catchAsync(async (req, res) => {
+    const webhookLog = await WebhookLog.findById(req.params.id);
+
+    if (!webhookLog) {
+      throw new AppError('No webhook log found with that ID', 404);
+    }
+
+    // Forged or unverified webhooks must never be applied, however they failed
+    if (webhookLog.signature_valid !== true) {
+      logger.warn('Refused to replay webhook without a valid signature', {
+        webhookLogId: webhookLog._id,
+        collect_request_id: webhookLog.collect_request_id,
+        signature_valid: webhookLog.signature_valid,
+        replayedBy: req.user._id
       });
+      throw new AppError('Only webhooks received with a valid signature can be replayed', 409);
     }
 
+    logger.info('Replaying webhook event', {
+      webhookLogId: webhookLog._id,
+      collect_request_id: webhookLog.collect_request_id,
+      previousStatus: webhookLog.processing_status,
+      signature_valid: webhookLog.signature_valid,
+      replayedBy: req.user._id
+    });
+
+    // The signature was checked on receipt and may have expired since, so
+    // it isn't verified again
+    webhookLog.replay_count += 1;
+    webhookLog.last_replayed_at = new Date();
+    webhookLog.last_replayed_by = req.user._id;
+
+    const orderStatus = await webhookService.processLoggedEvent(webhookLog);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook replayed successfully',
+      data: {
+        webhook_log: webhookLog,
+        order_id: orderStatus.collect_id,
+        status: orderStatus.status
+      }
+    });
+  });
+
+  /**
+   * Fetch all transactions using MongoDB aggregation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAllTransactions = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, q = '', status = '', schools = '', from = '', to = '', sort = 'createdAt', dir = 'desc' } = req.query;
+
+    logger.info('Fetching all transactions', {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      search: q,
+      status,
+      schools,
+      dateFrom: from,
+      dateTo: to,
+      sortField: sort,
+      sortDir: dir
+    });
+
+    const pipeline = buildTransactionPipeline({
+      q,
+      status,
+      schools,
+      scope: tenantScopeService.getScope(req),
+      from,
+      to
+    });
+
     // Get total count before pagination
     const countPipeline = [...pipeline, { $count: "total" }];
     const totalResult = await OrderStatus.aggregate(countPipeline);
     const total_count = totalResult.length > 0 ? totalResult[0].total : 0;
 
     // Add sorting
-    const sortField = sort === 'collect_request_id' ? 'collect_id' : sort;
-    const sortOrder = dir === 'asc' ? 1 : -1;
-    pipeline.push({
-      $sort: { [sortField]: sortOrder }
-    });
+    pipeline.push(buildTransactionSort(sort, dir));
 
     // Add pagination only if limit is not -1
     if (parseInt(limit) !== -1) {
@@ -428,6 +580,60 @@ class PaymentController {
     });
   });
 
+  /**
+   * Export transactions as CSV or XLSX with the same filters as the listing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  exportTransactions = catchAsync(async (req, res) => {
+    const { format = 'csv', columns = '', q = '', status = '', schools = '', from = '', to = '', sort = 'createdAt', dir = 'desc' } = req.query;
+
+    logger.info('Exporting transactions', {
+      format,
+      columns,
+      search: q,
+      status,
+      schools,
+      dateFrom: from,
+      dateTo: to,
+      sortField: sort,
+      sortDir: dir,
+      requestedBy: req.user._id
+    });
+
+    await transactionExportService.streamExport(res, {
+      format,
+      columns,
+      filters: { q, status, schools, scope: tenantScopeService.getScope(req), from, to },
+      sort,
+      dir
+    });
+  });
+
+  /**
+   * Get collection analytics with time-series and breakdowns, scoped to the caller's schools
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAnalytics = catchAsync(async (req, res) => {
+    const { schools = '', from = '', to = '', interval = 'day' } = req.query;
+
+    const analytics = await analyticsService.getAnalytics({
+      from,
+      to,
+      schools,
+      interval,
+      user: req.user,
+      scope: tenantScopeService.getScope(req)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Transaction analytics retrieved successfully',
+      data: analytics
+    });
+  });
+
   /**
    * Fetch transactions by school ID
    * @param {Object} req - Express request object
@@ -453,80 +659,9 @@ class PaymentController {
       sortDir: dir
     });
 
-    // Build match conditions
-    const matchConditions = {};
-
-    // Add date range filter
-    if (from || to) {
-      matchConditions.createdAt = {};
-      if (from) matchConditions.createdAt.$gte = new Date(from);
-      if (to) matchConditions.createdAt.$lte = new Date(to + 'T23:59:59.999Z');
-    }
-
-    const pipeline = [
-      {
-        $lookup: {
-          from: 'orders',
-          localField: 'collect_id',
-          foreignField: '_id',
-          as: 'order_details'
-        }
-      },
-      {
-        $unwind: '$order_details'
-      },
-      {
-        $match: {
-          'order_details.school_id': schoolId.length === 24 ? new mongoose.Types.ObjectId(schoolId) : schoolId
-        }
-      },
-      {
-        $project: {
-          collect_id: 1,
-          collect_request_id: '$collect_id',
-          school_id: '$order_details.school_id',
-          gateway: '$order_details.gateway_name',
-          gateway_name: '$order_details.gateway_name',
-          order_amount: 1,
-          transaction_amount: 1,
-          status: 1,
-          custom_order_id: '$collect_id',
-          order_id: '$collect_id',
-          payment_time: 1,
-          createdAt: 1,
-          updatedAt: 1
-        }
-      }
-    ];
-
-    // Add match stage if we have conditions
-    if (Object.keys(matchConditions).length > 0) {
-      pipeline.push({ $match: matchConditions });
-    }
+    await tenantScopeService.assertSchoolInScope(req, schoolId);
 
-    // Add status filter
-    if (status) {
-      const statusArray = status.split(',').filter(Boolean);
-      if (statusArray.length > 0) {
-        pipeline.push({
-          $match: {
-            status: { $in: statusArray }
-          }
-        });
-      }
-    }
-
-    // Add search filter
-    if (q) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { status: { $regex: q, $options: 'i' } },
-            { gateway: { $regex: q, $options: 'i' } }
-          ]
-        }
-      });
-    }
+    const pipeline = buildTransactionPipeline({ q, status, schoolId, scope: tenantScopeService.getScope(req), from, to });
 
     // Get total count before pagination
     const countPipeline = [...pipeline, { $count: "total" }];
@@ -534,11 +669,7 @@ class PaymentController {
     const total_count = totalResult.length > 0 ? totalResult[0].total : 0;
 
     // Add sorting
-    const sortField = sort === 'collect_request_id' ? 'collect_id' : sort;
-    const sortOrder = dir === 'asc' ? 1 : -1;
-    pipeline.push({
-      $sort: { [sortField]: sortOrder }
-    });
+    pipeline.push(buildTransactionSort(sort, dir));
 
     // Add pagination only if limit is not -1
     if (parseInt(limit) !== -1) {
@@ -603,6 +734,9 @@ class PaymentController {
       {
         $unwind: '$order_details'
       },
+      {
+        $match: tenantScopeService.getFilter(req, 'order_details.')
+      },
       {
         $project: {
           collect_id: 1,
@@ -616,6 +750,7 @@ class PaymentController {
           payment_details: 1,
           payment_message: 1,
           error_message: 1,
+          status_history: 1,
           createdAt: 1,
           updatedAt: 1
         }
@@ -642,6 +777,262 @@ class PaymentController {
     });
   });
 
+  /**
+   * Manually update transaction status (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateTransactionStatus = catchAsync(async (req, res) => {
+    const { custom_order_id } = req.params;
+    const { status, reason = '' } = req.body;
+
+    const orderStatus = await OrderStatus.findOne({ collect_id: custom_order_id });
+
+    if (!orderStatus) {
+      throw new AppError('Transaction not found', 404);
+    }
+
+    logger.info('Manual transaction status update requested', {
+      custom_order_id,
+      from: orderStatus.status,
+      to: status,
+      requestedBy: req.user._id
+    });
+
+    const statusChanged = orderStatus.transitionTo(status, {
+      source: 'admin',
+      changed_by: req.user._id,
+      reason
+    });
+
+    if (statusChanged) {
+      await orderStatus.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: statusChanged ? 'Transaction status updated successfully' : 'Transaction status unchanged',
+      data: {
+        custom_order_id,
+        status: orderStatus.status,
+        status_history: orderStatus.status_history
+      }
+    });
+  });
+
+  /**
+   * Initiate a full or partial refund for a completed order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  initiateRefund = catchAsync(async (req, res) => {
+    const { order_id } = req.params;
+    const { amount, reason = '' } = req.body;
+
+    // Orders outside the caller's trustee or school are reported as not found
+    const order = await tenantScopeService.findOrder(req, order_id);
+
+    const orderStatus = await OrderStatus.findOne({ collect_id: order._id });
+
+    if (!orderStatus) {
+      throw new AppError('Transaction not found', 404);
+    }
+
+    if (orderStatus.status !== 'completed') {
+      throw new AppError(`Only completed orders can be refunded. Current status: ${orderStatus.status}`, 400);
+    }
+
+    const { refund, refundableAmount, refundAmount } = await this.recordRefund(order, orderStatus, {
+      amount,
+      reason,
+      user: req.user
+    });
+
+    const school_id = order.school_id.toString();
+
+    const gateway = getGatewayAdapter(order.gateway_name);
+
+    let refundResult;
+    try {
+      refundResult = await gateway.refund({
+        school_id,
+        collect_request_id: refund.collect_request_id,
+        refund_amount: refundAmount.toString(),
+        refund_note: reason,
+        refund_id: refund._id.toString(),
+        credentials: await schoolService.getGatewayCredentials(order.school_id)
+      });
+    } catch (error) {
+      // A thrown error must not leave the refund initiated and holding the balance
+      refundResult = {
+        success: false,
+        error: { message: error.message, status: error.statusCode }
+      };
+    }
+
+    // The gateway may have refunded anyway, so keep the balance held until its status is known
+    if (!refundResult.success && refundResult.error.ambiguous) {
+      refund.status = 'processing';
+      refund.error_message = refundResult.error.message || 'Refund outcome unknown';
+      await refund.save();
+
+      logger.warn('Refund outcome unknown, left processing', {
+        order_id,
+        refundId: refund._id,
+        error: refundResult.error
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        message: 'Refund submitted but not confirmed by the gateway; its status will be checked later',
+        data: {
+          refund,
+          refundable_amount: Math.round((refundableAmount - refundAmount) * 100) / 100,
+          order_status: orderStatus.status
+        }
+      });
+    }
+
+    if (!refundResult.success) {
+      refund.status = 'failed';
+      refund.error_message = refundResult.error.message || 'Failed to initiate refund';
+      refund.processed_at = new Date();
+      await refund.save();
+
+      throw new AppError(
+        refundResult.error.message || 'Failed to initiate refund',
+        refundResult.error.status || 500
+      );
+    }
+
+    // Refunds the gateway hasn't finished yet are completed later by the reconciler
+    const updatedOrderStatus = await refundService.applyRefundStatus(refund, gateway.mapRefundStatus(refundResult.data.status), {
+      refund_request_id: refundResult.data.refund_request_id,
+      gateway_response: refundResult.data.details,
+      source: 'refund',
+      changed_by: req.user._id,
+      reason
+    });
+
+    logger.info('Refund recorded', {
+      order_id,
+      refundId: refund._id,
+      refund_request_id: refund.refund_request_id,
+      status: refund.status,
+      amount: refundAmount
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Refund initiated successfully',
+      data: {
+        refund,
+        refundable_amount: Math.round((refundableAmount - refundAmount) * 100) / 100,
+        order_status: updatedOrderStatus?.status || orderStatus.status
+      }
+    });
+  });
+
+  /**
+   * Check a refund against the order's refundable balance and record it as
+   * initiated. Both happen under the order's refund lock; once recorded, the
+   * refund counts against the balance for later requests.
+   * @param {Object} order - Order document
+   * @param {Object} orderStatus - OrderStatus document
+   * @param {Object} options - Refund options
+   * @param {number|string} options.amount - Amount to refund, or undefined for the whole balance
+   * @param {string} options.reason - Refund reason
+   * @param {Object} options.user - User initiating the refund
+   * @returns {Promise<Object>} { refund, refundedAmount, refundableAmount, refundAmount }
+   */
+  async recordRefund(order, orderStatus, { amount, reason, user }) {
+    if (!(await OrderStatus.acquireRefundLock(orderStatus._id))) {
+      throw new AppError('Another refund for this order is being initiated. Please try again', 409);
+    }
+
+    try {
+      return await this.checkAndCreateRefund(order, orderStatus, { amount, reason, user });
+    } finally {
+      await OrderStatus.releaseRefundLock(orderStatus._id);
+    }
+  }
+
+  /**
+   * Check a refund against the order's refundable balance and create it
+   * @param {Object} order - Order document
+   * @param {Object} orderStatus - OrderStatus document
+   * @param {Object} options - Same options as recordRefund
+   * @returns {Promise<Object>} { refund, refundedAmount, refundableAmount, refundAmount }
+   */
+  async checkAndCreateRefund(order, orderStatus, { amount, reason, user }) {
+    const refundedAmount = await Refund.getRefundedAmount(order._id);
+    const refundableAmount = Math.round((orderStatus.transaction_amount - refundedAmount) * 100) / 100;
+
+    if (refundableAmount <= 0) {
+      throw new AppError('This order has already been fully refunded', 400);
+    }
+
+    const refundAmount = amount !== undefined ? parseFloat(amount) : refundableAmount;
+
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      throw new AppError('Refund amount must be a positive number', 400);
+    }
+
+    if (refundAmount > refundableAmount) {
+      throw new AppError(`Refund amount exceeds refundable balance of ${refundableAmount}`, 400);
+    }
+
+    const collect_request_id = orderStatus.getPaymentDetails().collect_request_id || '';
+
+    logger.info('Initiating refund', {
+      order_id: order._id,
+      collect_request_id,
+      refundAmount,
+      refundableAmount,
+      requestedBy: user._id
+    });
+
+    const refund = await Refund.create({
+      collect_id: order._id,
+      order_status_id: orderStatus._id,
+      collect_request_id,
+      amount: refundAmount,
+      refund_type: refundAmount === orderStatus.transaction_amount ? 'full' : 'partial',
+      reason,
+      initiated_by: user._id
+    });
+
+    return { refund, refundedAmount, refundableAmount, refundAmount };
+  }
+
+  /**
+   * List refunds raised against an order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getRefunds = catchAsync(async (req, res) => {
+    const { order_id } = req.params;
+
+    const order = await tenantScopeService.findOrder(req, order_id);
+
+    const [refunds, orderStatus, refundedAmount] = await Promise.all([
+      Refund.find({ collect_id: order._id }).sort({ createdAt: -1 }),
+      OrderStatus.findOne({ collect_id: order._id }),
+      Refund.getRefundedAmount(order._id)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: refunds.length,
+      data: {
+        refunds,
+        transaction_amount: orderStatus?.transaction_amount || 0,
+        refunded_amount: refundedAmount,
+        refundable_amount: Math.max((orderStatus?.transaction_amount || 0) - refundedAmount, 0)
+      }
+    });
+  });
+
 }
 
 export default new PaymentController();
\ No newline at end of file
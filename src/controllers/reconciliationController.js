@@ -0,0 +1,223 @@
+import { ReconciliationRun, SettlementItem, SettlementReport } from '../models/index.js';
+import reconciliationService from '../services/reconciliationService.js';
+import settlementService from '../services/settlementService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class ReconciliationController {
+  /**
+   * Start a reconciliation run for stale pending orders (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  runReconciliation = catchAsync(async (req, res) => {
+    logger.info('Manual reconciliation run requested', {
+      requestedBy: req.user._id
+    });
+
+    const reconciliationRun = await reconciliationService.run({
+      trigger: 'manual',
+      triggered_by: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reconciliation run completed',
+      data: {
+        run: reconciliationRun
+      }
+    });
+  });
+
+  /**
+   * Start a reconciliation run from an external scheduler such as Vercel Cron
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  runScheduledReconciliation = catchAsync(async (req, res) => {
+    logger.info('Scheduled reconciliation run triggered', {
+      ip: req.ip
+    });
+
+    const reconciliationRun = await reconciliationService.run({
+      trigger: 'scheduled'
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reconciliation run completed',
+      data: {
+        run_id: reconciliationRun._id,
+        status: reconciliationRun.status,
+        summary: reconciliationRun.summary,
+        refund_summary: reconciliationRun.refund_summary
+      }
+    });
+  });
+
+  /**
+   * List reconciliation run summaries (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getReconciliationRuns = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const [runs, total_count] = await Promise.all([
+      ReconciliationRun.find()
+        .select('-results')
+        .sort({ started_at: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      ReconciliationRun.countDocuments()
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reconciliation runs retrieved successfully',
+      data: {
+        runs,
+        reconciler: reconciliationService.getConfigStatus(),
+        total_count,
+        page: pageNumber,
+        limit: limitNumber,
+        total_pages: Math.ceil(total_count / limitNumber)
+      }
+    });
+  });
+
+  /**
+   * Get the full report of a reconciliation run (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getReconciliationRun = catchAsync(async (req, res) => {
+    const reconciliationRun = req.params.id === 'latest'
+      ? await ReconciliationRun.findOne().sort({ started_at: -1 })
+      : await ReconciliationRun.findById(req.params.id);
+
+    if (!reconciliationRun) {
+      throw new AppError('No reconciliation run found', 404);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        run: reconciliationRun
+      }
+    });
+  });
+
+  /**
+   * Import a gateway settlement file and reconcile it against our records (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  importSettlement = catchAsync(async (req, res) => {
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csvText || typeof csvText !== 'string') {
+      throw new AppError('Settlement CSV is required (text/csv body or JSON `csv` field)', 400);
+    }
+
+    const settlementReport = await settlementService.importSettlement({
+      csvText,
+      fileName: req.query.file_name || req.get('X-File-Name') || req.body?.file_name || '',
+      from: req.query.from,
+      to: req.query.to,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Settlement file reconciled successfully',
+      data: {
+        report: settlementReport
+      }
+    });
+  });
+
+  /**
+   * List settlement report summaries (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getSettlementReports = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const [reports, total_count] = await Promise.all([
+      SettlementReport.find()
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      SettlementReport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Settlement reports retrieved successfully',
+      data: {
+        reports,
+        total_count,
+        page: pageNumber,
+        limit: limitNumber,
+        total_pages: Math.ceil(total_count / limitNumber)
+      }
+    });
+  });
+
+  /**
+   * Get a settlement report with a page of its items, optionally filtered to one item type (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getSettlementReport = catchAsync(async (req, res) => {
+    const { page = 1, limit = 100 } = req.query;
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const settlementReport = req.params.id === 'latest'
+      ? await SettlementReport.findOne().sort({ createdAt: -1 })
+      : await SettlementReport.findById(req.params.id);
+
+    if (!settlementReport) {
+      throw new AppError('No settlement report found', 404);
+    }
+
+    const itemFilter = { report_id: settlementReport._id };
+    if (req.query.type) {
+      itemFilter.type = req.query.type;
+    }
+
+    const [items, total_count] = await Promise.all([
+      SettlementItem.find(itemFilter)
+        .select('-report_id')
+        .sort({ row_number: 1, _id: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      SettlementItem.countDocuments(itemFilter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        report: settlementReport,
+        items,
+        total_count,
+        page: pageNumber,
+        limit: limitNumber,
+        total_pages: Math.ceil(total_count / limitNumber)
+      }
+    });
+  });
+}
+
+export default new ReconciliationController();
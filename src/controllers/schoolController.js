@@ -0,0 +1,116 @@
+import schoolService from '../services/schoolService.js';
+import authService from '../services/authService.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class SchoolController {
+  /**
+   * Create a school (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createSchool = catchAsync(async (req, res) => {
+    const { school_id, name, trustee_id, address, gateway_credentials } = req.body;
+
+    const school = await schoolService.createSchool(
+      { school_id, name, trustee_id, address, gateway_credentials },
+      req.user,
+      authService.getRequestContext(req)
+    );
+
+    res.status(201).json({
+      status: 'success',
+      message: 'School created successfully',
+      data: {
+        school
+      }
+    });
+  });
+
+  /**
+   * List schools; trustees only see their own (admin and trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getSchools = catchAsync(async (req, res) => {
+    const { trustee_id, include_inactive } = req.query;
+
+    const schools = await schoolService.listSchools(req.user, {
+      trustee_id,
+      includeInactive: include_inactive === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: schools.length,
+      data: {
+        schools
+      }
+    });
+  });
+
+  /**
+   * Get a school by ID (admin and owning trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getSchool = catchAsync(async (req, res) => {
+    const school = await schoolService.getAccessibleSchool(req.params.id, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        school
+      }
+    });
+  });
+
+  /**
+   * Update a school's details (admin and owning trustee)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateSchool = catchAsync(async (req, res) => {
+    const { name, address, trustee_id, isActive } = req.body;
+
+    const school = await schoolService.updateSchool(
+      req.params.id,
+      { name, address, trustee_id, isActive },
+      req.user
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'School updated successfully',
+      data: {
+        school
+      }
+    });
+  });
+
+  /**
+   * Set a school's gateway credentials (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateGatewayCredentials = catchAsync(async (req, res) => {
+    const school = await schoolService.getAccessibleSchool(req.params.id, req.user);
+    const { pg_key, api_key } = req.body;
+
+    const updatedSchool = await schoolService.updateGatewayCredentials(
+      school,
+      { pg_key, api_key },
+      req.user,
+      authService.getRequestContext(req)
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Gateway credentials updated successfully',
+      data: {
+        school: updatedSchool
+      }
+    });
+  });
+}
+
+export default new SchoolController();
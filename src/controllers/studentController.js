@@ -0,0 +1,123 @@
+import studentService from '../services/studentService.js';
+import ledgerService from '../services/ledgerService.js';
+import tenantScopeService from '../services/tenantScopeService.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class StudentController {
+  /**
+   * Add a student to a school
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createStudent = catchAsync(async (req, res) => {
+    const student = await studentService.createStudent(req.body, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Student created successfully',
+      data: {
+        student
+      }
+    });
+  });
+
+  /**
+   * List students in the caller's schools with paging and filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getStudents = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, ...filters } = req.query;
+
+    const { students, total_count } = await studentService.listStudents(tenantScopeService.getFilter(req), {
+      ...filters,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: students.length,
+      data: {
+        students,
+        total_count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total_pages: Math.ceil(total_count / parseInt(limit))
+      }
+    });
+  });
+
+  /**
+   * Get a student by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getStudent = catchAsync(async (req, res) => {
+    const student = await studentService.getStudent(req.params.id, tenantScopeService.getFilter(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        student
+      }
+    });
+  });
+
+  /**
+   * Update a student's details
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateStudent = catchAsync(async (req, res) => {
+    const student = await studentService.updateStudent(req.params.id, tenantScopeService.getFilter(req), req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Student updated successfully',
+      data: {
+        student
+      }
+    });
+  });
+
+  /**
+   * Get a student's ledger of fees, payments and refunds with a running balance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getLedger = catchAsync(async (req, res) => {
+    const student = await studentService.getStudent(req.params.id, tenantScopeService.getFilter(req));
+    const ledger = await ledgerService.getLedger(student);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Student ledger retrieved successfully',
+      data: {
+        student,
+        ...ledger
+      }
+    });
+  });
+
+  /**
+   * Get what a student still owes, fee by fee
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getDues = catchAsync(async (req, res) => {
+    const student = await studentService.getStudent(req.params.id, tenantScopeService.getFilter(req));
+    const dues = await ledgerService.getDues(student);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Student dues retrieved successfully',
+      data: {
+        student,
+        ...dues
+      }
+    });
+  });
+}
+
+export default new StudentController();
@@ -0,0 +1,97 @@
+import { Trustee } from '../models/index.js';
+import schoolService from '../services/schoolService.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+class TrusteeController {
+  /**
+   * Create a trustee (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createTrustee = catchAsync(async (req, res) => {
+    const trustee = await schoolService.createTrustee(req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Trustee created successfully',
+      data: {
+        trustee
+      }
+    });
+  });
+
+  /**
+   * List trustees by name (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getTrustees = catchAsync(async (req, res) => {
+    const filter = req.query.include_inactive === 'true' ? {} : { isActive: true };
+    const trustees = await Trustee.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: trustees.length,
+      data: {
+        trustees
+      }
+    });
+  });
+
+  /**
+   * Get a trustee by ID (admin and the trustee's own users)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getTrustee = catchAsync(async (req, res) => {
+    const trustee = await schoolService.getAccessibleTrustee(req.params.id, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        trustee
+      }
+    });
+  });
+
+  /**
+   * Update a trustee (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateTrustee = catchAsync(async (req, res) => {
+    const trustee = await schoolService.updateTrustee(req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Trustee updated successfully',
+      data: {
+        trustee
+      }
+    });
+  });
+
+  /**
+   * List the schools a trustee owns (admin and the trustee's own users)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getTrusteeSchools = catchAsync(async (req, res) => {
+    const trustee = await schoolService.getAccessibleTrustee(req.params.id, req.user);
+
+    const schools = await schoolService.listSchools(req.user, {
+      trustee_id: trustee._id,
+      includeInactive: req.query.include_inactive === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: schools.length,
+      data: {
+        schools
+      }
+    });
+  });
+}
+
+export default new TrusteeController();
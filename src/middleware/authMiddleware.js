@@ -1,15 +1,56 @@
+import crypto from 'crypto';
 import authService from '../services/authService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import apiKeyService from '../services/apiKeyService.js';
 import logger from '../utils/logger.js';
 import { AppError } from './errorHandler.js';
 import { catchAsync } from '../utils/asyncHelpers.js';
 
 /**
- * Middleware to protect routes with JWT authentication
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Create JWT authentication middleware
+ * @param {Object} options - Protection options
+ * @param {boolean} options.requireVerifiedEmail - Reject users whose email isn't verified
+ * @param {boolean} options.allowTwoFactorSetup - Let users who still have to enroll in required 2FA through
+ * @param {string} options.apiKeyScope - Accept API keys carrying this scope; without it API keys are rejected
+ * @returns {Function} Middleware function
  */
-export const protect = catchAsync(async (req, res, next) => {
+export const createProtect = ({ requireVerifiedEmail = false, allowTwoFactorSetup = false, apiKeyScope } = {}) => catchAsync(async (req, res, next) => {
+  const key = apiKeyService.extractKeyFromRequest(req);
+
+  if (key) {
+    if (!apiKeyScope) {
+      return next(new AppError('API keys cannot be used for this route', 403));
+    }
+
+    const { apiKey, user } = await apiKeyService.authenticate(key, req.ip);
+
+    if (!apiKey.scopes.includes(apiKeyScope)) {
+      logger.warn('Access denied - API key scope missing', {
+        apiKeyId: apiKey._id,
+        requiredScope: apiKeyScope,
+        path: req.originalUrl
+      });
+      return next(new AppError(`This API key is missing the ${apiKeyScope} scope`, 403));
+    }
+
+    if (requireVerifiedEmail && !user.emailVerified) {
+      return next(new AppError('The user who created this API key has not verified their email address', 403));
+    }
+
+    // The key acts with its creator's role; 2FA only applies to interactive logins
+    req.user = user;
+    req.apiKey = apiKey;
+
+    logger.debug('Route access granted via API key', {
+      apiKeyId: apiKey._id,
+      userId: user._id,
+      scope: apiKeyScope,
+      path: req.originalUrl
+    });
+
+    return next();
+  }
+
   // Get token from request
   const token = authService.extractTokenFromRequest(req);
 
@@ -25,9 +66,27 @@ export const protect = catchAsync(async (req, res, next) => {
   // Get current user from token
   const currentUser = await authService.getCurrentUser(token);
 
+  if (requireVerifiedEmail && !currentUser.emailVerified) {
+    logger.warn('Access denied - email not verified', {
+      userId: currentUser._id,
+      path: req.originalUrl
+    });
+    return next(new AppError('Please verify your email address to access this resource', 403));
+  }
+
+  if (!allowTwoFactorSetup && !currentUser.twoFactorEnabled && twoFactorService.isRequiredFor(currentUser)) {
+    logger.warn('Access denied - two-factor enrollment required', {
+      userId: currentUser._id,
+      role: currentUser.role,
+      path: req.originalUrl
+    });
+    return next(new AppError(`Two-factor authentication is required for the ${currentUser.role} role. Please enroll first`, 403));
+  }
+
   // Grant access to protected route
   req.user = currentUser;
   req.token = token;
+  req.sessionId = currentUser.$locals.sessionId;
 
   logger.debug('Route access granted', {
     userId: currentUser._id,
@@ -39,6 +98,14 @@ export const protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+/**
+ * Middleware to protect routes with JWT authentication
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const protect = createProtect();
+
 /**
  * Middleware to restrict access to specific roles
  * @param {...string} roles - Allowed roles
@@ -73,6 +140,7 @@ export const optionalAuth = catchAsync(async (req, res, next) => {
       const currentUser = await authService.getCurrentUser(token);
       req.user = currentUser;
       req.token = token;
+      req.sessionId = currentUser.$locals.sessionId;
       
       logger.debug('Optional auth - user authenticated', {
         userId: currentUser._id,
@@ -90,74 +158,46 @@ export const optionalAuth = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Middleware to check if user belongs to the same school
+ * Middleware to validate user is active
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export const checkSchoolAccess = (req, res, next) => {
-  const { schoolId } = req.params;
-  const userSchoolId = req.user.school_id;
-
-  // Admin can access all schools
-  if (req.user.role === 'admin') {
-    return next();
-  }
-
-  // Check if user belongs to the requested school
-  if (schoolId && userSchoolId && schoolId !== userSchoolId.toString()) {
-    logger.warn('School access denied', {
+export const requireActiveUser = (req, res, next) => {
+  if (!req.user.isActive) {
+    logger.warn('Inactive user access attempt', {
       userId: req.user._id,
-      userSchoolId: userSchoolId.toString(),
-      requestedSchoolId: schoolId
+      username: req.user.username
     });
-    return next(new AppError('You can only access data from your own school', 403));
+    return next(new AppError('Your account has been deactivated. Please contact support', 401));
   }
-
   next();
 };
 
 /**
- * Middleware to check if user can access trustee data
+ * Middleware for scheduler-triggered routes: requires `Authorization: Bearer <CRON_SECRET>`,
+ * the header Vercel Cron sends. Without CRON_SECRET the route is disabled.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export const checkTrusteeAccess = (req, res, next) => {
-  const { trusteeId } = req.params;
-  const userTrusteeId = req.user.trustee_id;
+export const protectCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
 
-  // Admin can access all trustee data
-  if (req.user.role === 'admin') {
-    return next();
+  if (!secret) {
+    return next(new AppError('Scheduled triggers are not configured', 404));
   }
 
-  // Trustee can only access their own data
-  if (req.user.role === 'trustee' && trusteeId && userTrusteeId && trusteeId !== userTrusteeId.toString()) {
-    logger.warn('Trustee access denied', {
-      userId: req.user._id,
-      userTrusteeId: userTrusteeId.toString(),
-      requestedTrusteeId: trusteeId
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.get('Authorization') || '');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.warn('Scheduled trigger rejected - invalid secret', {
+      path: req.originalUrl,
+      ip: req.ip
     });
-    return next(new AppError('You can only access your own trustee data', 403));
+    return next(new AppError('Invalid cron secret', 401));
   }
 
   next();
 };
-
-/**
- * Middleware to validate user is active
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-export const requireActiveUser = (req, res, next) => {
-  if (!req.user.isActive) {
-    logger.warn('Inactive user access attempt', {
-      userId: req.user._id,
-      username: req.user.username
-    });
-    return next(new AppError('Your account has been deactivated. Please contact support', 401));
-  }
-  next();
-};
\ No newline at end of file
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { IdempotencyKey } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from './errorHandler.js';
+import { catchAsync } from '../utils/asyncHelpers.js';
+
+// How long a key and its stored response are kept (hours)
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+// How long a request may hold a key before a retry can take it over (seconds).
+// Must outlast the slowest handler, or a slow request and its retry both run.
+const IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS || '120', 10);
+
+const getLockedUntil = () => new Date(Date.now() + IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS * 1000);
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash a request body for comparison against later requests with the same key
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalStringify(body || {})).digest('hex');
+};
+
+/**
+ * Middleware factory to make a route idempotent using the Idempotency-Key header.
+ * Successful responses are stored and replayed when the key is reused with the
+ * same body; a different body for the same key is rejected with 422. A key
+ * whose request is still running gets 409 until its processing lease runs out.
+ * @param {string} scope - Name of the operation the key applies to
+ * @returns {Function} Middleware function
+ */
+export const idempotency = (scope) => catchAsync(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    throw new AppError('Idempotency-Key cannot exceed 255 characters', 400);
+  }
+
+  const requestHash = hashRequestBody(req.body);
+  const filter = { key, scope, user_id: req.user._id };
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...filter,
+      request_hash: requestHash,
+      locked_until: getLockedUntil(),
+      expires_at: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne(filter);
+
+    if (!existing) {
+      throw new AppError('Idempotency key conflict, please retry', 409);
+    }
+
+    if (existing.request_hash !== requestHash) {
+      logger.warn('Idempotency key reused with a different request body', {
+        key,
+        scope,
+        userId: req.user._id
+      });
+      throw new AppError('Idempotency-Key has already been used with a different request body', 422);
+    }
+
+    if (existing.status === 'completed') {
+      logger.info('Replaying stored idempotent response', {
+        key,
+        scope,
+        userId: req.user._id
+      });
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Keys from before the lease was added count from when they were created
+    const lockedUntil = existing.locked_until
+      || new Date(existing.createdAt.getTime() + IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS * 1000);
+
+    if (lockedUntil > new Date()) {
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+
+    // The request holding the key never finished (e.g. the server crashed), so
+    // this one takes it over. Conditional on the old lease so only one retry wins.
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: 'processing',
+        locked_until: existing.locked_until || { $exists: false }
+      },
+      { $set: { locked_until: getLockedUntil() } },
+      { new: true }
+    );
+
+    if (!record) {
+      throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+    }
+
+    logger.warn('Took over idempotency key from a request that did not finish', {
+      key,
+      scope,
+      userId: req.user._id,
+      lockedUntil
+    });
+  }
+
+  let finalized = false;
+
+  /**
+   * Store a successful response against the key, or free the key after a failure
+   * @param {number} statusCode - Response status code
+   * @param {*} body - Response body
+   */
+  const finalize = async (statusCode, body) => {
+    if (finalized) {
+      return;
+    }
+    finalized = true;
+
+    // Only while this request still holds the key; if its lease ran out and a
+    // retry took over, the retry's outcome is the one kept
+    const heldFilter = { _id: record._id, locked_until: record.locked_until };
+
+    try {
+      const result = statusCode >= 200 && statusCode < 300
+        ? await IdempotencyKey.updateOne(heldFilter, {
+          $set: { status: 'completed', response_status: statusCode, response_body: body }
+        })
+        // Failed requests are not cached so the client can retry with the same key
+        : await IdempotencyKey.deleteOne(heldFilter);
+
+      if ((result.matchedCount ?? result.deletedCount) === 0) {
+        logger.warn('Idempotency key was taken over before the request finished', {
+          key,
+          scope,
+          statusCode
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to store idempotent response', {
+        key,
+        scope,
+        error: error.message
+      });
+    }
+  };
+
+  // If the client disconnects, 'finish' never fires. The handler may still be
+  // running (and e.g. create the payment), so the key isn't freed right away:
+  // the response is stored as soon as the handler produces it, and a retry
+  // gets that response instead of a second payment.
+  let clientGone = false;
+
+  // Capture the response body so it can be stored once the request finishes
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.idempotencyResponseBody = body;
+    if (clientGone) {
+      finalize(res.statusCode, body);
+    }
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    finalize(res.statusCode, res.locals.idempotencyResponseBody);
+  });
+
+  res.on('close', () => {
+    if (res.writableFinished) {
+      return;
+    }
+
+    clientGone = true;
+    if ('idempotencyResponseBody' in res.locals) {
+      finalize(res.statusCode, res.locals.idempotencyResponseBody);
+    }
+  });
+
+  next();
+});
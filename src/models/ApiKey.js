@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = [
+  'payments:create',
+  'payments:read',
+  'transactions:read',
+  'transactions:export',
+  'analytics:read',
+  'refunds:create',
+  'refunds:read'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxLength: [100, 'API key name cannot exceed 100 characters']
+  },
+  key_hash: {
+    type: String,
+    required: [true, 'API key hash is required'],
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Requests made with the key only reach this school's data
+  school_id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // The key acts with this user's role and trustee
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  expires_at: {
+    type: Date
+  },
+  last_used_at: {
+    type: Date
+  },
+  last_used_ip: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ created_by: 1, createdAt: -1 });
+apiKeySchema.index({ revoked_at: 1, createdAt: -1 });
+
+// Instance method to check the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+};
+
+// Transform output to remove the key hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.key_hash;
+  return apiKeyObject;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
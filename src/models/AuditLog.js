@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'account_locked',
+  'account_unlocked',
+  'api_key_created',
+  'api_key_revoked',
+  'user_created',
+  'user_updated',
+  'user_deactivated',
+  'user_reactivated',
+  'password_reset_forced',
+  'school_credentials_updated'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: AUDIT_ACTIONS,
+      message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`
+    }
+  },
+  // Missing for actions taken by the system itself, e.g. an automatic lockout
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  target_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ target_user_id: 1, createdAt: -1 });
+auditLogSchema.index({ actor_id: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
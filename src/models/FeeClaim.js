@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One row per fee head or installment a student has an order for. The unique
+// index lets only one order claim an item at a time; a claim whose order is no
+// longer in flight is taken over by the next order.
+const feeClaimSchema = new mongoose.Schema({
+  school_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  // The school's student ID, as sent in student_info.id
+  student_id: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true
+  },
+  // fee_head:<id> for a whole fee head, installment:<id> for one installment
+  key: {
+    type: String,
+    required: [true, 'Claim key is required']
+  },
+  order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+    index: true
+  },
+  claimed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// An item can only be claimed by one order per student
+feeClaimSchema.index({ school_id: 1, student_id: 1, key: 1 }, { unique: true });
+
+const FeeClaim = mongoose.model('FeeClaim', feeClaimSchema);
+
+export default FeeClaim;
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+export const FEE_HEAD_CATEGORIES = ['tuition', 'transport', 'exam', 'admission', 'library', 'hostel', 'other'];
+
+// Academic years are written like 2025-26
+export const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{2}$/;
+
+// Limits for installment plans on a fee head
+export const MIN_INSTALLMENTS = 2;
+export const MAX_INSTALLMENTS = 12;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const installmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Installment name is required'],
+    trim: true,
+    maxLength: [100, 'Installment name cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [0.01, 'Installment amount must be greater than 0']
+  },
+  due_date: {
+    type: Date,
+    required: [true, 'Installment due date is required']
+  }
+});
+
+const feeHeadSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fee head name is required'],
+    trim: true,
+    maxLength: [100, 'Fee head name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Fee head category is required'],
+    enum: {
+      values: FEE_HEAD_CATEGORIES,
+      message: `Fee head category must be one of: ${FEE_HEAD_CATEGORIES.join(', ')}`
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Fee head amount is required'],
+    min: [0.01, 'Fee head amount must be greater than 0']
+  },
+  due_date: {
+    type: Date,
+    required: [true, 'Fee head due date is required']
+  },
+  // Empty means the fee applies to every class
+  applicable_classes: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Optional plan splitting the fee into parts, each payable on its own
+  installments: {
+    type: [installmentSchema],
+    default: [],
+    validate: {
+      validator: function(installments) {
+        if (installments.length === 0) return true;
+
+        return installments.length >= MIN_INSTALLMENTS &&
+          installments.length <= MAX_INSTALLMENTS &&
+          round(installments.reduce((total, installment) => total + installment.amount, 0)) === round(this.amount);
+      },
+      message: `An installment plan needs ${MIN_INSTALLMENTS} to ${MAX_INSTALLMENTS} installments that add up to the fee head amount`
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const feeStructureSchema = new mongoose.Schema({
+  school_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  // Copied from the school so trustee listings don't need a lookup
+  trustee_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trustee',
+    required: [true, 'Trustee ID is required'],
+    index: true
+  },
+  academic_year: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [ACADEMIC_YEAR_PATTERN, 'Academic year must look like 2025-26']
+  },
+  fee_heads: {
+    type: [feeHeadSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+feeStructureSchema.index({ school_id: 1, academic_year: 1 }, { unique: true });
+feeStructureSchema.index({ 'fee_heads._id': 1 });
+feeStructureSchema.index({ 'fee_heads.installments._id': 1 });
+
+/**
+ * Check whether a fee head applies to a class
+ * @param {Object} feeHead - Fee head subdocument
+ * @param {string} studentClass - Student's class
+ * @returns {boolean} True if the fee applies
+ */
+feeStructureSchema.statics.appliesToClass = function(feeHead, studentClass) {
+  return feeHead.applicable_classes.length === 0 || feeHead.applicable_classes.includes(studentClass);
+};
+
+const FeeStructure = mongoose.model('FeeStructure', feeStructureSchema);
+
+export default FeeStructure;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxLength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  scope: {
+    type: String,
+    required: [true, 'Idempotency scope is required'],
+    trim: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  request_hash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['processing', 'completed'],
+      message: 'Status must be one of: processing, completed'
+    },
+    default: 'processing'
+  },
+  response_status: {
+    type: Number
+  },
+  response_body: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // While processing, the request holding the key; after this a retry can take it over
+  locked_until: {
+    type: Date
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// A key can only be used once per user and endpoint
+idempotencyKeySchema.index({ key: 1, scope: 1, user_id: 1 }, { unique: true });
+
+// Let MongoDB remove keys once they expire
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// A lease on a background job, shared by every instance of the app. Whoever
+// holds an unexpired lease runs the job; a lease left behind by a crashed
+// instance can be taken once it expires.
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lock name is required'],
+    unique: true,
+    trim: true
+  },
+  holder: {
+    type: String,
+    required: [true, 'Lock holder is required']
+  },
+  locked_until: {
+    type: Date,
+    required: [true, 'Lock expiry is required']
+  },
+  acquired_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Take the lease if nobody holds it or the current lease has expired
+ * @param {string} name - Job name
+ * @param {string} holder - Identifies this attempt, used to release the lease
+ * @param {number} leaseMs - How long the lease lasts
+ * @returns {Promise<boolean>} Whether the lease was taken
+ */
+jobLockSchema.statics.acquire = async function(name, holder, leaseMs) {
+  const now = new Date();
+
+  try {
+    // Matches only a free lease; when it's held the upsert hits the unique name instead
+    await this.findOneAndUpdate(
+      { name, locked_until: { $lte: now } },
+      { $set: { holder, locked_until: new Date(now.getTime() + leaseMs), acquired_at: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give up a lease, if it is still held by this holder
+ * @param {string} name - Job name
+ * @param {string} holder - Holder passed to acquire
+ * @returns {Promise<void>}
+ */
+jobLockSchema.statics.release = async function(name, holder) {
+  await this.deleteOne({ name, holder });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -3,11 +3,13 @@ import mongoose from 'mongoose';
 const orderSchema = new mongoose.Schema({
   school_id: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
     required: [true, 'School ID is required'],
     index: true
   },
   trustee_id: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trustee',
     required: [true, 'Trustee ID is required'],
     index: true
   },
@@ -39,6 +41,34 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Gateway name is required'],
     trim: true
+  },
+  // Fee heads and installments this order pays for, as priced when the order was created
+  fee_heads: {
+    type: [{
+      _id: false,
+      fee_structure_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FeeStructure',
+        required: [true, 'Fee structure ID is required']
+      },
+      fee_head_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Fee head ID is required']
+      },
+      // Set when the order pays one installment of the fee head
+      installment_id: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      name: {
+        type: String,
+        required: [true, 'Fee head name is required']
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Fee head amount is required']
+      }
+    }],
+    default: undefined
   }
 }, {
   timestamps: true,
@@ -49,6 +79,7 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ school_id: 1, trustee_id: 1 });
 orderSchema.index({ 'student_info.email': 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'fee_heads.fee_head_id': 1 });
 
 // Virtual for order status
 orderSchema.virtual('orderStatus', {
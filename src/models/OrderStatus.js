@@ -1,4 +1,60 @@
 import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Allowed payment statuses and the statuses each one may move to
+export const PAYMENT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'expired'];
+
+// An expired order can still complete if the gateway settles it late
+export const STATUS_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'cancelled', 'expired'],
+  processing: ['completed', 'failed', 'cancelled', 'expired'],
+  completed: ['refunded'],
+  failed: [],
+  cancelled: [],
+  refunded: [],
+  expired: ['completed']
+};
+
+// How long a refund lock is held at most, in case the request holding it dies
+const REFUND_LOCK_TTL_MS = 30 * 1000;
+
+// Where a status change came from
+export const TRANSITION_SOURCES = ['system', 'poll', 'webhook', 'admin', 'refund', 'reconciler'];
+
+const statusTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: [true, 'Transition target status is required']
+  },
+  source: {
+    type: String,
+    enum: {
+      values: TRANSITION_SOURCES,
+      message: `Transition source must be one of: ${TRANSITION_SOURCES.join(', ')}`
+    },
+    required: [true, 'Transition source is required']
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const orderStatusSchema = new mongoose.Schema({
   collect_id: {
@@ -27,6 +83,12 @@ const orderStatusSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Copied from payment_details on save so collect requests can be looked up by index
+  collect_request_id: {
+    type: String,
+    trim: true,
+    default: ''
+  },
   bank_reference: {
     type: String,
     trim: true,
@@ -41,9 +103,16 @@ const orderStatusSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Status is required'],
     trim: true,
-   
+    enum: {
+      values: PAYMENT_STATUSES,
+      message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+    },
     default: 'pending'
   },
+  status_history: {
+    type: [statusTransitionSchema],
+    default: []
+  },
   error_message: {
     type: String,
     trim: true,
@@ -52,6 +121,14 @@ const orderStatusSchema = new mongoose.Schema({
   payment_time: {
     type: Date,
     default: Date.now
+  },
+  // When the reconciler last looked at this order, so each run starts with the least recently checked
+  last_reconciled_at: {
+    type: Date
+  },
+  // Set while a refund is checked against the balance and recorded
+  refund_locked_until: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -64,6 +141,25 @@ orderStatusSchema.index({ status: 1 });
 orderStatusSchema.index({ payment_time: -1 });
 orderStatusSchema.index({ collect_id: 1, status: 1 });
 orderStatusSchema.index({ createdAt: -1 });
+orderStatusSchema.index({ status: 1, last_reconciled_at: 1, createdAt: 1 });
+orderStatusSchema.index({ collect_request_id: 1 });
+orderStatusSchema.index({ bank_reference: 1 });
+
+// Pre-save middleware to record the initial status of new records
+orderStatusSchema.pre('save', function(next) {
+  if (this.isNew && this.status_history.length === 0) {
+    this.status_history.push({ from: null, to: this.status, source: 'system' });
+  }
+  next();
+});
+
+// Pre-save middleware to keep collect_request_id in step with payment_details
+orderStatusSchema.pre('save', function(next) {
+  if (this.isModified('payment_details')) {
+    this.collect_request_id = this.getPaymentDetails().collect_request_id || '';
+  }
+  next();
+});
 
 // Pre-save middleware to update payment_time when status changes to completed
 orderStatusSchema.pre('save', function(next) {
@@ -73,6 +169,163 @@ orderStatusSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to write a status change only if the stored status is still
+// the one the transition started from. A webhook, a poll and the reconciler can
+// each hold a copy of the order, and the last save must not undo a final status.
+orderStatusSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status') && this.$locals.transitionFrom) {
+    this.$where = { ...this.$where, status: this.$locals.transitionFrom };
+  }
+  next();
+});
+
+// Post-save middleware to start the next transition from the saved status
+orderStatusSchema.post('save', function(doc) {
+  delete doc.$locals.transitionFrom;
+});
+
+// Post-save error middleware to report a lost status race as a conflict
+orderStatusSchema.post('save', function(error, doc, next) {
+  if (error.name === 'DocumentNotFoundError' && doc.$locals.transitionFrom) {
+    logger.warn('Order status changed by another update', {
+      orderStatusId: doc._id,
+      collect_id: doc.collect_id,
+      from: doc.$locals.transitionFrom,
+      to: doc.status
+    });
+    return next(new AppError('Order status was changed by another update; reload and try again', 409));
+  }
+  next(error);
+});
+
+// Instance method to check if the status may move to a new status
+orderStatusSchema.methods.canTransitionTo = function(newStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+/**
+ * Instance method to move to a new status and record the transition.
+ * Returns false when the record is already in that status.
+ * Throws a 409 AppError when the transition is not allowed. Saving fails with
+ * a 409 as well if the stored status changed after the record was read.
+ */
+orderStatusSchema.methods.transitionTo = function(newStatus, { source, changed_by, reason = '' } = {}) {
+  if (this.status === newStatus) {
+    return false;
+  }
+
+  if (!this.canTransitionTo(newStatus)) {
+    logger.warn('Rejected order status transition', {
+      orderStatusId: this._id,
+      collect_id: this.collect_id,
+      from: this.status,
+      to: newStatus,
+      source,
+      changed_by
+    });
+    throw new AppError(`Invalid status transition from ${this.status} to ${newStatus}`, 409);
+  }
+
+  if (!this.$locals.transitionFrom) {
+    this.$locals.transitionFrom = this.status;
+  }
+
+  this.status_history.push({
+    from: this.status,
+    to: newStatus,
+    source,
+    changed_by,
+    reason,
+    changed_at: new Date()
+  });
+  this.status = newStatus;
+
+  logger.info('Order status transitioned', {
+    orderStatusId: this._id,
+    collect_id: this.collect_id,
+    from: this.status_history[this.status_history.length - 1].from,
+    to: newStatus,
+    source
+  });
+
+  return true;
+};
+
+/**
+ * Instance method to apply the result of a gateway status check.
+ * Returns true when the status changed; throws like transitionTo.
+ */
+orderStatusSchema.methods.applyStatusCheck = function(newStatus, { gateway_status, amount }, transitionOptions = {}) {
+  const statusChanged = this.transitionTo(newStatus, {
+    reason: `Gateway reported ${gateway_status}`,
+    ...transitionOptions
+  });
+
+  this.transaction_amount = amount || this.order_amount;
+  this.payment_message = `Payment ${gateway_status}`;
+
+  if (statusChanged && newStatus === 'completed') {
+    this.payment_time = new Date();
+  }
+
+  return statusChanged;
+};
+
+// Instance method to read the JSON stored in payment_details
+orderStatusSchema.methods.getPaymentDetails = function() {
+  try {
+    return JSON.parse(this.payment_details || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// Static method to find the record created for a gateway collect request
+orderStatusSchema.statics.findByCollectRequestId = function(collectRequestId) {
+  return this.findOne({ collect_request_id: String(collectRequestId) });
+};
+
+// Static method to fill collect_request_id on records saved before it existed
+orderStatusSchema.statics.backfillCollectRequestIds = async function() {
+  const records = await this.find({ collect_request_id: { $exists: false } }, { payment_details: 1 });
+
+  if (records.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(records.map(record => ({
+    updateOne: {
+      filter: { _id: record._id },
+      update: { $set: { collect_request_id: record.getPaymentDetails().collect_request_id || '' } }
+    }
+  })));
+
+  logger.info('Backfilled collect_request_id on order statuses', { count: records.length });
+
+  return records.length;
+};
+
+// Static method to take the order's refund lock, so concurrent refunds can't
+// both pass the refundable balance check. Returns false if it is already held.
+orderStatusSchema.statics.acquireRefundLock = async function(orderStatusId) {
+  const now = new Date();
+
+  const orderStatus = await this.findOneAndUpdate(
+    {
+      _id: orderStatusId,
+      $or: [{ refund_locked_until: null }, { refund_locked_until: { $lte: now } }]
+    },
+    { $set: { refund_locked_until: new Date(now.getTime() + REFUND_LOCK_TTL_MS) } }
+  );
+
+  return Boolean(orderStatus);
+};
+
+// Static method to release the order's refund lock
+orderStatusSchema.statics.releaseRefundLock = function(orderStatusId) {
+  return this.updateOne({ _id: orderStatusId }, { $unset: { refund_locked_until: 1 } });
+};
+
 // Virtual to populate order details
 orderStatusSchema.virtual('order', {
   ref: 'Order',
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+const reconciliationResultSchema = new mongoose.Schema({
+  order_status_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderStatus'
+  },
+  collect_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  collect_request_id: {
+    type: String,
+    default: ''
+  },
+  previous_status: {
+    type: String
+  },
+  new_status: {
+    type: String
+  },
+  gateway_status: {
+    type: String,
+    default: ''
+  },
+  outcome: {
+    type: String,
+    enum: ['updated', 'expired', 'unchanged', 'rejected', 'error']
+  },
+  error_message: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+const refundReconciliationResultSchema = new mongoose.Schema({
+  refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  collect_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  previous_status: {
+    type: String
+  },
+  new_status: {
+    type: String
+  },
+  gateway_status: {
+    type: String,
+    default: ''
+  },
+  outcome: {
+    type: String,
+    enum: ['updated', 'unchanged', 'rejected', 'error']
+  },
+  error_message: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: {
+      values: ['scheduled', 'manual'],
+      message: 'Trigger must be one of: scheduled, manual'
+    },
+    required: [true, 'Trigger is required']
+  },
+  triggered_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['running', 'completed', 'failed'],
+      message: 'Status must be one of: running, completed, failed'
+    },
+    default: 'running'
+  },
+  criteria: {
+    pending_age_minutes: Number,
+    expiry_hours: Number,
+    batch_size: Number
+  },
+  summary: {
+    scanned: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    expired: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  results: {
+    type: [reconciliationResultSchema],
+    default: []
+  },
+  refund_summary: {
+    scanned: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  refund_results: {
+    type: [refundReconciliationResultSchema],
+    default: []
+  },
+  error_message: {
+    type: String,
+    default: ''
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: {
+    type: Date
+  },
+  duration_ms: {
+    type: Number
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+reconciliationRunSchema.index({ started_at: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
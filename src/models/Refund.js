@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+export const REFUND_STATUSES = ['initiated', 'processing', 'completed', 'failed'];
+
+// Refunds in these statuses count against the refundable balance
+export const ACTIVE_REFUND_STATUSES = ['initiated', 'processing', 'completed'];
+
+const refundSchema = new mongoose.Schema({
+  collect_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference (collect_id) is required'],
+    index: true
+  },
+  order_status_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderStatus',
+    required: [true, 'Order status reference is required']
+  },
+  collect_request_id: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  refund_request_id: {
+    type: String,
+    trim: true,
+    default: '',
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  refund_type: {
+    type: String,
+    enum: {
+      values: ['full', 'partial'],
+      message: 'Refund type must be one of: full, partial'
+    },
+    required: [true, 'Refund type is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REFUND_STATUSES,
+      message: `Refund status must be one of: ${REFUND_STATUSES.join(', ')}`
+    },
+    default: 'initiated'
+  },
+  initiated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refund initiator is required']
+  },
+  gateway_response: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error_message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  processed_at: {
+    type: Date
+  },
+  // When the reconciler last asked the gateway about this refund
+  last_checked_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+refundSchema.index({ collect_id: 1, status: 1 });
+refundSchema.index({ createdAt: -1 });
+refundSchema.index({ status: 1, last_checked_at: 1, createdAt: 1 });
+
+/**
+ * Static method to get the total amount already refunded or in flight for an order
+ * @param {ObjectId|string} collectId - Order ID
+ * @param {Array<string>} statuses - Refund statuses to count (defaults to refunds in flight or completed)
+ * @returns {Promise<number>} Total refunded amount
+ */
+refundSchema.statics.getRefundedAmount = async function(collectId, statuses = ACTIVE_REFUND_STATUSES) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        collect_id: new mongoose.Types.ObjectId(collectId),
+        status: { $in: statuses }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
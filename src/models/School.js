@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import addressSchema from './addressSchema.js';
+
+// The school's _id is the school ID the payment gateway knows it by
+const schoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'School name is required'],
+    trim: true,
+    maxLength: [200, 'School name cannot exceed 200 characters']
+  },
+  trustee_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trustee',
+    required: [true, 'Trustee ID is required'],
+    index: true
+  },
+  address: {
+    type: addressSchema,
+    default: () => ({})
+  },
+  // Encrypted gateway credentials; missing values fall back to PG_KEY / PAYMENT_API_KEY
+  gateway_credentials: {
+    pg_key: {
+      type: String,
+      select: false
+    },
+    api_key: {
+      type: String,
+      select: false
+    }
+  },
+  gateway_credentials_updated_at: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+schoolSchema.index({ trustee_id: 1, name: 1 });
+
+// Transform output to remove gateway credentials
+schoolSchema.methods.toJSON = function() {
+  const schoolObject = this.toObject();
+  delete schoolObject.gateway_credentials;
+  return schoolObject;
+};
+
+const School = mongoose.model('School', schoolSchema);
+
+export default School;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const SESSION_REVOKE_REASONS = [
+  'logout',
+  'refresh_token_reuse',
+  'password_changed',
+  'user_revoked',
+  'admin_revoked'
+];
+
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means the token was stolen
+  previous_token_hashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  rotation_count: {
+    type: Number,
+    default: 0
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  user_agent: {
+    type: String,
+    default: ''
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revoked_reason: {
+    type: String,
+    enum: {
+      values: SESSION_REVOKE_REASONS,
+      message: `Revoke reason must be one of: ${SESSION_REVOKE_REASONS.join(', ')}`
+    }
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const SETTLEMENT_ITEM_TYPES = [
+  'matched',
+  'amount_mismatch',
+  'pending_with_us',
+  'not_settled',
+  'missing_in_settlement',
+  'duplicate',
+  'not_found'
+];
+
+// One row per reconciled settlement line, kept out of the report document so
+// a large settlement file can't push the report past MongoDB's document size limit
+const settlementItemSchema = new mongoose.Schema({
+  report_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SettlementReport',
+    required: [true, 'Report ID is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: SETTLEMENT_ITEM_TYPES,
+      message: `Item type must be one of: ${SETTLEMENT_ITEM_TYPES.join(', ')}`
+    },
+    required: [true, 'Item type is required']
+  },
+  row_number: {
+    type: Number
+  },
+  collect_request_id: {
+    type: String,
+    default: ''
+  },
+  bank_reference: {
+    type: String,
+    default: ''
+  },
+  settlement_amount: {
+    type: Number
+  },
+  our_amount: {
+    type: Number
+  },
+  difference: {
+    type: Number
+  },
+  settlement_status: {
+    type: String,
+    default: ''
+  },
+  our_status: {
+    type: String,
+    default: ''
+  },
+  order_status_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderStatus'
+  },
+  collect_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  message: {
+    type: String,
+    default: ''
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes for better query performance
+settlementItemSchema.index({ report_id: 1, type: 1, row_number: 1 });
+settlementItemSchema.index({ report_id: 1, row_number: 1 });
+
+const SettlementItem = mongoose.model('SettlementItem', settlementItemSchema);
+
+export default SettlementItem;
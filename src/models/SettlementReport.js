@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const settlementReportSchema = new mongoose.Schema({
+  file_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  uploaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  period_from: {
+    type: Date
+  },
+  period_to: {
+    type: Date
+  },
+  row_count: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    matched: { type: Number, default: 0 },
+    amount_mismatch: { type: Number, default: 0 },
+    pending_with_us: { type: Number, default: 0 },
+    not_settled: { type: Number, default: 0 },
+    missing_in_settlement: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    not_found: { type: Number, default: 0 },
+    settlement_total: { type: Number, default: 0 },
+    our_total: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+settlementReportSchema.index({ createdAt: -1 });
+settlementReportSchema.index({ period_from: 1, period_to: 1 });
+
+const SettlementReport = mongoose.model('SettlementReport', settlementReportSchema);
+
+export default SettlementReport;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+const guardianSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Guardian name is required'],
+    trim: true,
+    maxLength: [100, 'Guardian name cannot exceed 100 characters']
+  },
+  relation: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  }
+}, { _id: false });
+
+const studentSchema = new mongoose.Schema({
+  // The school's own student ID, as sent in Order.student_info.id
+  student_id: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true,
+    maxLength: [50, 'Student ID cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Student name is required'],
+    trim: true,
+    maxLength: [100, 'Student name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  class: {
+    type: String,
+    required: [true, 'Class is required'],
+    trim: true
+  },
+  section: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  guardians: {
+    type: [guardianSchema],
+    default: []
+  },
+  school_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School ID is required']
+  },
+  // Copied from the school so trustee listings don't need a lookup
+  trustee_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trustee',
+    required: [true, 'Trustee ID is required'],
+    index: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+studentSchema.index({ school_id: 1, student_id: 1 }, { unique: true });
+studentSchema.index({ school_id: 1, class: 1, section: 1 });
+studentSchema.index({ name: 1 });
+
+const Student = mongoose.model('Student', studentSchema);
+
+export default Student;
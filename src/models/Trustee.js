@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import addressSchema from './addressSchema.js';
+
+const trusteeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Trustee name is required'],
+    trim: true,
+    maxLength: [200, 'Trustee name cannot exceed 200 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  address: {
+    type: addressSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better query performance
+trusteeSchema.index({ name: 1 });
+
+const Trustee = mongoose.model('Trustee', trusteeSchema);
+
+export default Trustee;
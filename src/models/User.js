@@ -1,6 +1,10 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// How long a password reset link stays valid
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '10', 10);
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -39,6 +43,7 @@ const userSchema = new mongoose.Schema({
   },
   trustee_id: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trustee',
     required: function() {
       return this.role === 'trustee' || this.role === 'staff';
     },
@@ -46,6 +51,7 @@ const userSchema = new mongoose.Schema({
   },
   school_id: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
     required: function() {
       return this.role === 'trustee' || this.role === 'staff';
     },
@@ -55,11 +61,66 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
   passwordChangedAt: {
     type: Date
+  },
+  // Failed logins in the current window; reset on success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  failedLoginWindowStart: {
+    type: Date
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Encrypted TOTP secret; twoFactorPendingSecret holds it until enrollment is confirmed
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -72,6 +133,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ school_id: 1, role: 1 });
 userSchema.index({ trustee_id: 1, role: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -105,17 +167,47 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Instance method to create a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to find the user a valid (unexpired) reset token belongs to
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: crypto.createHash('sha256').update(resetToken).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
   await this.save({ validateBeforeSave: false });
 };
 
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil.getTime() > Date.now();
+};
+
 // Transform output to remove sensitive fields
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.passwordChangedAt;
+  delete userObject.failedLoginWindowStart;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.twoFactorRecoveryCodes;
   return userObject;
 };
 
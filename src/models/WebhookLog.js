@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const webhookLogSchema = new mongoose.Schema({
+  gateway_name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  collect_request_id: {
+    type: String,
+    trim: true,
+    default: '',
+    index: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  signature_valid: {
+    type: Boolean,
+    default: false
+  },
+  signature_error: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  processing_status: {
+    type: String,
+    enum: {
+      values: ['received', 'processed', 'failed', 'rejected'],
+      message: 'Processing status must be one of: received, processed, failed, rejected'
+    },
+    default: 'received'
+  },
+  error_message: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  order_status_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderStatus'
+  },
+  processed_at: {
+    type: Date
+  },
+  replay_count: {
+    type: Number,
+    default: 0
+  },
+  last_replayed_at: {
+    type: Date
+  },
+  last_replayed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set only on rejected (unsigned) events, which are kept just long enough to investigate
+  expires_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes for better query performance
+webhookLogSchema.index({ processing_status: 1, createdAt: -1 });
+webhookLogSchema.index({ createdAt: -1 });
+
+// Let MongoDB remove rejected events once they expire
+webhookLogSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookLog = mongoose.model('WebhookLog', webhookLogSchema);
+
+export default WebhookLog;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Postal address embedded in trustees and schools
+const addressSchema = new mongoose.Schema({
+  line1: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  line2: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  postal_code: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'India'
+  }
+}, {
+  _id: false
+});
+
+export default addressSchema;
@@ -1,15 +1,60 @@
+import ApiKey from './ApiKey.js';
+import AuditLog from './AuditLog.js';
+import FeeClaim from './FeeClaim.js';
+import FeeStructure from './FeeStructure.js';
+import IdempotencyKey from './IdempotencyKey.js';
+import JobLock from './JobLock.js';
 import Order from './Order.js';
 import OrderStatus from './OrderStatus.js';
+import ReconciliationRun from './ReconciliationRun.js';
+import Refund from './Refund.js';
+import School from './School.js';
+import Session from './Session.js';
+import SettlementItem from './SettlementItem.js';
+import SettlementReport from './SettlementReport.js';
+import Student from './Student.js';
+import Trustee from './Trustee.js';
 import User from './User.js';
+import WebhookLog from './WebhookLog.js';
 
 export {
+  ApiKey,
+  AuditLog,
+  FeeClaim,
+  FeeStructure,
+  IdempotencyKey,
+  JobLock,
   Order,
   OrderStatus,
-  User
+  ReconciliationRun,
+  Refund,
+  School,
+  Session,
+  SettlementItem,
+  SettlementReport,
+  Student,
+  Trustee,
+  User,
+  WebhookLog
 };
 
 export default {
+  ApiKey,
+  AuditLog,
+  FeeClaim,
+  FeeStructure,
+  IdempotencyKey,
+  JobLock,
   Order,
   OrderStatus,
-  User
-};
\ No newline at end of file
+  ReconciliationRun,
+  Refund,
+  School,
+  Session,
+  SettlementItem,
+  SettlementReport,
+  Student,
+  Trustee,
+  User,
+  WebhookLog
+};
@@ -1,13 +1,40 @@
 import express from 'express';
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { ipKeyGenerator, rateLimit } from 'express-rate-limit';
 import authController from '../controllers/authController.js';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import apiKeyController from '../controllers/apiKeyController.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { createProtect, protect, restrictTo } from '../middleware/authMiddleware.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 import { validationResult } from 'express-validator';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { USER_SORT_FIELDS } from '../utils/userDirectoryQuery.js';
 
 const router = express.Router();
 
+// For routes a user who still has to enroll in required 2FA must be able to reach
+const protectAllowingTwoFactorSetup = createProtect({ allowTwoFactorSetup: true });
+
+// Two-factor codes are only six digits, so wrong codes are limited per account
+// rather than only per IP. Invalid challenge tokens count against the IP.
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: twoFactorService.maxAttempts,
+  keyGenerator: (req) => {
+    const userId = twoFactorService.getChallengeUserId(req.body?.challenge_token);
+    return userId ? `user:${userId}` : ipKeyGenerator(req.ip);
+  },
+  skipSuccessfulRequests: true,
+  message: {
+    status: 'error',
+    message: 'Too many two-factor attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Validation middleware for handling validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -47,18 +74,15 @@ router.post('/register',
       .withMessage('Password is required')
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters long'),
+    // Other roles and school assignments are only granted by admins (POST /users)
     body('role')
       .optional()
-      .isIn(['admin', 'trustee', 'staff', 'user'])
-      .withMessage('Role must be one of: admin, trustee, staff, user'),
-    body('trustee_id')
-      .optional()
-      .isMongoId()
-      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
-    body('school_id')
-      .optional()
-      .isMongoId()
-      .withMessage('School ID must be a valid MongoDB ObjectId')
+      .equals('user')
+      .withMessage('Only user accounts can be registered; other roles are created by an admin'),
+    body(['trustee_id', 'school_id'])
+      .not()
+      .exists()
+      .withMessage('Trustee and school assignments are made by an admin')
   ],
   handleValidationErrors,
   authController.register
@@ -81,6 +105,80 @@ router.post('/login',
   authController.login
 );
 
+// Complete login with a two-factor code route
+router.post('/login/2fa',
+  twoFactorLimiter,
+  [
+    body('challenge_token')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code')
+      .notEmpty()
+      .withMessage('Two-factor code is required')
+      .isString()
+      .withMessage('Two-factor code must be a string')
+  ],
+  handleValidationErrors,
+  authController.loginTwoFactor
+);
+
+// Forgot password route
+router.post('/forgotPassword',
+  [
+    body('email')
+      .notEmpty()
+      .withMessage('Email is required')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail()
+  ],
+  handleValidationErrors,
+  authController.forgotPassword
+);
+
+// Reset password route
+router.patch('/resetPassword/:token',
+  [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Password reset token is invalid'),
+    body('password')
+      .notEmpty()
+      .withMessage('New password is required')
+      .isLength({ min: 6 })
+      .withMessage('New password must be at least 6 characters long'),
+    body('passwordConfirm')
+      .notEmpty()
+      .withMessage('Password confirmation is required')
+  ],
+  handleValidationErrors,
+  authController.resetPassword
+);
+
+// Verify email route
+router.post('/verify-email/:token',
+  [
+    param('token')
+      .isJWT()
+      .withMessage('Email verification link is invalid')
+  ],
+  handleValidationErrors,
+  authController.verifyEmail
+);
+
+// Refresh access token route (refresh token from body or cookie)
+router.post('/refresh',
+  [
+    body('refresh_token')
+      .optional()
+      .isString()
+      .withMessage('Refresh token must be a string')
+  ],
+  handleValidationErrors,
+  authController.refreshToken
+);
+
 // Auth service health check
 router.get('/health',
   authController.healthCheck
@@ -90,13 +188,19 @@ router.get('/health',
 
 // Logout route
 router.post('/logout',
-  protect,
+  protectAllowingTwoFactorSetup,
   authController.logout
 );
 
+// Resend email verification link
+router.post('/resend-verification',
+  protect,
+  authController.resendVerificationEmail
+);
+
 // Get current user
 router.get('/me',
-  protect,
+  protectAllowingTwoFactorSetup,
   authController.getMe
 );
 
@@ -140,21 +244,265 @@ router.patch('/updatePassword',
   authController.updatePassword
 );
 
+// Start two-factor enrollment
+router.post('/2fa/enroll',
+  protectAllowingTwoFactorSetup,
+  authController.enrollTwoFactor
+);
+
+// Confirm two-factor enrollment
+router.post('/2fa/confirm',
+  protectAllowingTwoFactorSetup,
+  [
+    body('code')
+      .notEmpty()
+      .withMessage('Two-factor code is required')
+      .isString()
+      .withMessage('Two-factor code must be a string')
+  ],
+  handleValidationErrors,
+  authController.confirmTwoFactor
+);
+
+// Disable two-factor authentication
+router.post('/2fa/disable',
+  protect,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .notEmpty()
+      .withMessage('Two-factor code is required')
+      .isString()
+      .withMessage('Two-factor code must be a string')
+  ],
+  handleValidationErrors,
+  authController.disableTwoFactor
+);
+
 // Delete current user account
 router.delete('/deleteMe',
   protect,
   authController.deleteMe
 );
 
-// Admin only routes
+// List current user's sessions
+router.get('/sessions',
+  protect,
+  authController.getMySessions
+);
+
+// Revoke all other sessions of the current user
+router.delete('/sessions',
+  protect,
+  authController.revokeOtherSessions
+);
+
+// Revoke one session of the current user
+router.delete('/sessions/:sessionId',
+  protect,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Session ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.revokeMySession
+);
+
+// API key routes (admin and trustee)
+
+// Create an API key
+router.post('/api-keys',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('API key name is required')
+      .isLength({ max: 100 })
+      .withMessage('API key name cannot exceed 100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a non-empty array'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+    body('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    body('expires_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Expiry date must be a valid date')
+  ],
+  handleValidationErrors,
+  apiKeyController.createApiKey
+);
+
+// List API keys
+router.get('/api-keys',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    query('created_by')
+      .optional()
+      .isMongoId()
+      .withMessage('Creator ID must be a valid MongoDB ObjectId'),
+    query('include_revoked')
+      .optional()
+      .isBoolean()
+      .withMessage('include_revoked must be true or false')
+  ],
+  handleValidationErrors,
+  apiKeyController.getApiKeys
+);
+
+// Revoke an API key
+router.delete('/api-keys/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('API key ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  apiKeyController.revokeApiKey
+);
+
+// User directory routes (admin and trustee)
 
-// Get all users
+// Search the user directory (trustees see their own users only)
 router.get('/users',
   protect,
-  restrictTo('admin'),
+  restrictTo('admin', 'trustee'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('q')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Search cannot exceed 100 characters'),
+    query('role')
+      .optional()
+      .custom(value => value.split(',').map(role => role.trim()).filter(Boolean).every(role => ['admin', 'trustee', 'staff', 'user'].includes(role)))
+      .withMessage('Role must be a comma separated list of: admin, trustee, staff, user'),
+    query('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    query('trustee_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    query('isActive')
+      .optional()
+      .isIn(['true', 'false', 'all'])
+      .withMessage('isActive must be true, false or all'),
+    query('last_login_from')
+      .optional()
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('Last login from date must be a valid date (YYYY-MM-DD)'),
+    query('last_login_to')
+      .optional()
+      .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('Last login to date must be a valid date (YYYY-MM-DD)'),
+    query('sort')
+      .optional()
+      .isIn(USER_SORT_FIELDS)
+      .withMessage(`Sort must be one of: ${USER_SORT_FIELDS.join(', ')}`),
+    query('dir')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort direction must be asc or desc')
+  ],
+  handleValidationErrors,
   authController.getAllUsers
 );
 
+// Admin only routes
+
+// Create a user with any role
+router.post('/users',
+  protect,
+  restrictTo('admin'),
+  [
+    body('username')
+      .notEmpty()
+      .withMessage('Username is required')
+      .isLength({ min: 3, max: 50 })
+      .withMessage('Username must be between 3 and 50 characters')
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage('Username can only contain letters, numbers, and underscores'),
+    body('email')
+      .notEmpty()
+      .withMessage('Email is required')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+    body('role')
+      .optional()
+      .isIn(['admin', 'trustee', 'staff', 'user'])
+      .withMessage('Role must be one of: admin, trustee, staff, user'),
+    body('trustee_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    body('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.createUser
+);
+
+// List audit log entries
+router.get('/audit-logs',
+  protect,
+  restrictTo('admin'),
+  [
+    query('action')
+      .optional()
+      .isIn(AUDIT_ACTIONS)
+      .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+    query('actor_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Actor ID must be a valid MongoDB ObjectId'),
+    query('target_user_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Target user ID must be a valid MongoDB ObjectId'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  authController.getAuditLogs
+);
+
 // Get user by ID
 router.get('/users/:id',
   protect,
@@ -170,4 +518,133 @@ router.get('/users/:id',
   authController.getUser
 );
 
+// Change a user's role, trustee or school
+router.patch('/users/:id',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId'),
+    body('role')
+      .optional()
+      .isIn(['admin', 'trustee', 'staff', 'user'])
+      .withMessage('Role must be one of: admin, trustee, staff, user'),
+    body('trustee_id')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    body('school_id')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.updateUser
+);
+
+// Deactivate a user
+router.patch('/users/:id/deactivate',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  authController.deactivateUser
+);
+
+// Reactivate a user
+router.patch('/users/:id/reactivate',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  authController.reactivateUser
+);
+
+// Force a user to reset their password
+router.post('/users/:id/force-password-reset',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.forcePasswordReset
+);
+
+// Unlock a user locked out after failed logins
+router.patch('/users/:id/unlock',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.unlockUser
+);
+
+// List a user's sessions
+router.get('/users/:id/sessions',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.getUserSessions
+);
+
+// Revoke all sessions of a user
+router.delete('/users/:id/sessions',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.revokeUserSessions
+);
+
+// Revoke one session of a user
+router.delete('/users/:id/sessions/:sessionId',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('User ID must be a valid MongoDB ObjectId'),
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Session ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  authController.revokeUserSession
+);
+
 export default router;
\ No newline at end of file
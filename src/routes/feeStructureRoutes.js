@@ -0,0 +1,230 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import feeStructureController from '../controllers/feeStructureController.js';
+import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+import { ACADEMIC_YEAR_PATTERN, FEE_HEAD_CATEGORIES, MAX_INSTALLMENTS, MIN_INSTALLMENTS } from '../models/FeeStructure.js';
+
+const router = express.Router();
+
+// Validation middleware for handling validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg).join(', ');
+    logger.warn('Validation errors in fee structure route', {
+      path: req.path,
+      method: req.method,
+      errors: errors.array()
+    });
+    throw new AppError(`Validation error: ${errorMessages}`, 400);
+  }
+  next();
+};
+
+const feeStructureIdValidation = param('id')
+  .isMongoId()
+  .withMessage('Fee structure ID must be a valid MongoDB ObjectId');
+
+const feeHeadIdValidation = param('feeHeadId')
+  .isMongoId()
+  .withMessage('Fee head ID must be a valid MongoDB ObjectId');
+
+/**
+ * Build validators for fee head fields
+ * @param {string} prefix - Path of the fee head in the body, e.g. 'fee_heads.*.'
+ * @param {boolean} partial - Allow any field to be left out (updates)
+ * @returns {Array} express-validator chains
+ */
+const feeHeadValidation = (prefix = '', partial = false) => {
+  const field = (name) => (partial ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Fee head name is required')
+      .isLength({ max: 100 })
+      .withMessage('Fee head name cannot exceed 100 characters'),
+    field('category')
+      .isIn(FEE_HEAD_CATEGORIES)
+      .withMessage(`Fee head category must be one of: ${FEE_HEAD_CATEGORIES.join(', ')}`),
+    field('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Fee head amount must be greater than 0')
+      .toFloat(),
+    field('due_date')
+      .isISO8601()
+      .withMessage('Fee head due date must be a valid date'),
+    body(`${prefix}applicable_classes`)
+      .optional()
+      .isArray()
+      .withMessage('Applicable classes must be an array'),
+    body(`${prefix}applicable_classes.*`)
+      .isString()
+      .withMessage('Applicable classes must be strings')
+      .trim(),
+    body(`${prefix}description`)
+      .optional()
+      .isString()
+      .withMessage('Fee head description must be a string')
+      .isLength({ max: 500 })
+      .withMessage('Fee head description cannot exceed 500 characters'),
+    body(`${prefix}isActive`)
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ];
+};
+
+// Create fee structure route
+router.post('/',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    body('school_id')
+      .notEmpty()
+      .withMessage('School ID is required')
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    body('academic_year')
+      .matches(ACADEMIC_YEAR_PATTERN)
+      .withMessage('Academic year must look like 2025-26'),
+    body('fee_heads')
+      .optional()
+      .isArray()
+      .withMessage('Fee heads must be an array'),
+    ...feeHeadValidation('fee_heads.*.')
+  ],
+  handleValidationErrors,
+  feeStructureController.createFeeStructure
+);
+
+// List fee structures route
+router.get('/',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [
+    query('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    query('academic_year')
+      .optional()
+      .matches(ACADEMIC_YEAR_PATTERN)
+      .withMessage('Academic year must look like 2025-26'),
+    query('include_inactive')
+      .optional()
+      .isBoolean()
+      .withMessage('include_inactive must be true or false')
+  ],
+  handleValidationErrors,
+  feeStructureController.getFeeStructures
+);
+
+// Get fee structure route
+router.get('/:id',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [feeStructureIdValidation],
+  handleValidationErrors,
+  feeStructureController.getFeeStructure
+);
+
+// Update fee structure route
+router.patch('/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    feeStructureIdValidation,
+    body('academic_year')
+      .optional()
+      .matches(ACADEMIC_YEAR_PATTERN)
+      .withMessage('Academic year must look like 2025-26'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ],
+  handleValidationErrors,
+  feeStructureController.updateFeeStructure
+);
+
+// Delete fee structure route
+router.delete('/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [feeStructureIdValidation],
+  handleValidationErrors,
+  feeStructureController.deleteFeeStructure
+);
+
+// Add fee head route
+router.post('/:id/fee-heads',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [feeStructureIdValidation, ...feeHeadValidation()],
+  handleValidationErrors,
+  feeStructureController.addFeeHead
+);
+
+// Update fee head route
+router.patch('/:id/fee-heads/:feeHeadId',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [feeStructureIdValidation, feeHeadIdValidation, ...feeHeadValidation('', true)],
+  handleValidationErrors,
+  feeStructureController.updateFeeHead
+);
+
+// Remove fee head route
+router.delete('/:id/fee-heads/:feeHeadId',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [feeStructureIdValidation, feeHeadIdValidation],
+  handleValidationErrors,
+  feeStructureController.removeFeeHead
+);
+
+// Set installment plan route
+router.put('/:id/fee-heads/:feeHeadId/installments',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    feeStructureIdValidation,
+    feeHeadIdValidation,
+    body('installments')
+      .isArray({ min: MIN_INSTALLMENTS, max: MAX_INSTALLMENTS })
+      .withMessage(`installments must be an array of ${MIN_INSTALLMENTS} to ${MAX_INSTALLMENTS} installments`),
+    body('installments.*.name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Installment name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Installment name cannot exceed 100 characters'),
+    body('installments.*.amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Installment amount must be greater than 0')
+      .toFloat(),
+    body('installments.*.due_date')
+      .isISO8601()
+      .withMessage('Installment due date must be a valid date')
+  ],
+  handleValidationErrors,
+  feeStructureController.setInstallmentPlan
+);
+
+// Remove installment plan route
+router.delete('/:id/fee-heads/:feeHeadId/installments',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [feeStructureIdValidation, feeHeadIdValidation],
+  handleValidationErrors,
+  feeStructureController.removeInstallmentPlan
+);
+
+export default router;
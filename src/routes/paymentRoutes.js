@@ -1,13 +1,41 @@
 import express from 'express';
+import { rateLimit } from 'express-rate-limit';
 import { body, param, query } from 'express-validator';
 import paymentController from '../controllers/paymentController.js';
+import reconciliationController from '../controllers/reconciliationController.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 import { validationResult } from 'express-validator';
-import { protect, restrictTo, checkSchoolAccess } from '../middleware/authMiddleware.js';
+import { createProtect, protectCron, restrictTo } from '../middleware/authMiddleware.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { PAYMENT_STATUSES } from '../models/OrderStatus.js';
+import { SETTLEMENT_ITEM_TYPES } from '../models/SettlementItem.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from '../services/transactionExportService.js';
+import { ANALYTICS_INTERVALS } from '../services/analyticsService.js';
+import { isSupportedGateway, listSupportedGateways } from '../services/gateways/index.js';
 
 const router = express.Router();
 
+// With REQUIRE_VERIFIED_EMAIL=true only users with a verified email can use payment routes
+const requireVerifiedEmail = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+const protect = createProtect({ requireVerifiedEmail });
+
+// Same as protect, but also accepts API keys that carry the scope
+const protectWithScope = (apiKeyScope) => createProtect({ requireVerifiedEmail, apiKeyScope });
+
+// The webhook route is unauthenticated, so it has its own per-IP limit
+// instead of the general API limit, which is too low for a gateway
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX || '300', 10),
+  message: {
+    status: 'error',
+    message: 'Too many webhook requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Validation middleware for handling validation errors
 const handleValidationErrors = (req, res, next) => {
   
@@ -27,10 +55,12 @@ const handleValidationErrors = (req, res, next) => {
 
 // Create payment route
 router.post('/create-payment',
-  protect,
+  protectWithScope('payments:create'),
   restrictTo('admin', 'trustee', 'staff'),
   [
+    // Without fee heads or installments the client has to name the amount
     body('amount')
+      .if((value, { req }) => value !== undefined || !(req.body?.fee_head_ids || req.body?.installment_ids))
       .notEmpty()
       .withMessage('Amount is required')
       .isNumeric()
@@ -69,20 +99,122 @@ router.post('/create-payment',
     body('gateway_name')
       .notEmpty()
       .withMessage('Gateway name is required')
-      .isLength({ min: 2, max: 50 })
-      .withMessage('Gateway name must be between 2 and 50 characters'),
-    body('trustee_id')
+      .custom(value => {
+        if (!isSupportedGateway(value)) {
+          throw new Error(`Gateway name must be one of: ${listSupportedGateways().join(', ')}`);
+        }
+        return true;
+      }),
+    body('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    body('fee_head_ids')
       .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('fee_head_ids must be an array of 1 to 50 fee head IDs'),
+    body('fee_head_ids.*')
       .isMongoId()
-      .withMessage('Trustee ID must be a valid MongoDB ObjectId')
+      .withMessage('Fee head IDs must be valid MongoDB ObjectIds'),
+    body('installment_ids')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('installment_ids must be an array of 1 to 50 installment IDs'),
+    body('installment_ids.*')
+      .isMongoId()
+      .withMessage('Installment IDs must be valid MongoDB ObjectIds'),
+    body('student_info.class')
+      .optional()
+      .isString()
+      .withMessage('Student class must be a string')
+      .trim()
   ],
   handleValidationErrors,
+  idempotency('create-payment'),
   paymentController.createPayment
 );
 
+// Payment gateway webhook route (authenticated by the signed payload).
+// Without a gateway_name the default gateway verifies the signature.
+// Malformed events are refused here and never stored.
+router.post('/webhook{/:gateway_name}',
+  webhookLimiter,
+  [
+    param('gateway_name')
+      .optional()
+      .custom(value => {
+        if (!isSupportedGateway(value)) {
+          throw new Error(`Gateway name must be one of: ${listSupportedGateways().join(', ')}`);
+        }
+        return true;
+      }),
+    body('order_info')
+      .isObject()
+      .withMessage('Webhook order_info is required'),
+    body('order_info.order_id')
+      .isString()
+      .withMessage('Webhook order_info.order_id is required')
+      .bail()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Webhook order_info.order_id must be 1-100 characters'),
+    body('sign')
+      .isString()
+      .withMessage('Webhook sign is required')
+      .bail()
+      .isLength({ min: 1, max: 4096 })
+      .withMessage('Webhook sign must be 1-4096 characters')
+  ],
+  handleValidationErrors,
+  paymentController.handleWebhook
+);
+
+// List stored webhook events route
+router.get('/webhook-logs',
+  protect,
+  restrictTo('admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  paymentController.getWebhookLogs
+);
+
+// Get stored webhook event route
+router.get('/webhook-logs/:id',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Webhook log ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  paymentController.getWebhookLog
+);
+
+// Replay stored webhook event route
+router.post('/webhook-logs/:id/replay',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Webhook log ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  paymentController.replayWebhookLog
+);
+
 // Check payment status route
 router.get('/status/:collect_request_id',
-  protect,
+  protectWithScope('payments:read'),
   restrictTo('admin', 'trustee', 'staff'),
   [
     param('collect_request_id')
@@ -93,7 +225,11 @@ router.get('/status/:collect_request_id',
     query('order_id')
       .optional()
       .isMongoId()
-      .withMessage('Order ID must be a valid MongoDB ObjectId')
+      .withMessage('Order ID must be a valid MongoDB ObjectId'),
+    query('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId')
   ],
   handleValidationErrors,
   paymentController.checkPaymentStatus
@@ -101,16 +237,67 @@ router.get('/status/:collect_request_id',
 
 // Fetch all transactions route
 router.get('/transactions',
-  protect,
+  protectWithScope('transactions:read'),
   restrictTo('admin', 'trustee'),
   paymentController.getAllTransactions
 );
 
+// Export transactions route
+router.get('/transactions/export',
+  protectWithScope('transactions:export'),
+  restrictTo('admin', 'trustee'),
+  [
+    query('format')
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('columns')
+      .optional()
+      .custom(value => value.split(',').map(column => column.trim()).filter(Boolean).every(column => EXPORT_COLUMNS[column]))
+      .withMessage(`Columns must be a comma separated list of: ${Object.keys(EXPORT_COLUMNS).join(', ')}`),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date (YYYY-MM-DD)'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date (YYYY-MM-DD)'),
+    query('dir')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort direction must be asc or desc')
+  ],
+  handleValidationErrors,
+  paymentController.exportTransactions
+);
+
+// Transaction analytics route
+router.get('/analytics',
+  protectWithScope('analytics:read'),
+  restrictTo('admin', 'trustee', 'staff'),
+  [
+    query('interval')
+      .optional()
+      .isIn(ANALYTICS_INTERVALS)
+      .withMessage(`Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date (YYYY-MM-DD)'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date (YYYY-MM-DD)')
+  ],
+  handleValidationErrors,
+  paymentController.getAnalytics
+);
+
 // Fetch transactions by school route
 router.get('/transactions/school/:schoolId',
-  protect,
+  protectWithScope('transactions:read'),
   restrictTo('admin', 'trustee', 'staff'),
-  checkSchoolAccess,
   [
     param('schoolId')
       .notEmpty()
@@ -124,7 +311,7 @@ router.get('/transactions/school/:schoolId',
 
 // Check transaction status route
 router.get('/transaction-status/:custom_order_id',
-  protect,
+  protectWithScope('transactions:read'),
   restrictTo('admin', 'trustee', 'staff'),
   [
     param('custom_order_id')
@@ -137,4 +324,181 @@ router.get('/transaction-status/:custom_order_id',
   paymentController.getTransactionStatus
 );
 
+// Manually update transaction status route
+router.patch('/transaction-status/:custom_order_id',
+  protect,
+  restrictTo('admin'),
+  [
+    param('custom_order_id')
+      .notEmpty()
+      .withMessage('Custom order ID is required')
+      .isMongoId()
+      .withMessage('Custom order ID must be a valid MongoDB ObjectId'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .isIn(PAYMENT_STATUSES)
+      .withMessage(`Status must be one of: ${PAYMENT_STATUSES.join(', ')}`),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  paymentController.updateTransactionStatus
+);
+
+// Run pending-order reconciliation route
+router.post('/reconciliation/runs',
+  protect,
+  restrictTo('admin'),
+  reconciliationController.runReconciliation
+);
+
+// Scheduled reconciliation route (Vercel Cron sends GET with the CRON_SECRET bearer)
+router.get('/reconciliation/cron',
+  protectCron,
+  reconciliationController.runScheduledReconciliation
+);
+
+// List reconciliation runs route
+router.get('/reconciliation/runs',
+  protect,
+  restrictTo('admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  reconciliationController.getReconciliationRuns
+);
+
+// Get reconciliation run report route ("latest" for the most recent run)
+router.get('/reconciliation/runs/:id',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .custom(value => value === 'latest' || /^[0-9a-fA-F]{24}$/.test(value))
+      .withMessage('Run ID must be a valid MongoDB ObjectId or "latest"')
+  ],
+  handleValidationErrors,
+  reconciliationController.getReconciliationRun
+);
+
+// Import settlement file route (raw CSV body, or JSON with a `csv` field)
+router.post('/reconciliation/settlements',
+  protect,
+  restrictTo('admin'),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' }),
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid date (YYYY-MM-DD)'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid date (YYYY-MM-DD)'),
+    query('file_name')
+      .optional()
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('File name cannot exceed 255 characters')
+  ],
+  handleValidationErrors,
+  reconciliationController.importSettlement
+);
+
+// List settlement reports route
+router.get('/reconciliation/settlements',
+  protect,
+  restrictTo('admin'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  reconciliationController.getSettlementReports
+);
+
+// Get settlement report route ("latest" for the most recent report)
+router.get('/reconciliation/settlements/:id',
+  protect,
+  restrictTo('admin'),
+  [
+    param('id')
+      .custom(value => value === 'latest' || /^[0-9a-fA-F]{24}$/.test(value))
+      .withMessage('Report ID must be a valid MongoDB ObjectId or "latest"'),
+    query('type')
+      .optional()
+      .isIn(SETTLEMENT_ITEM_TYPES)
+      .withMessage(`Type must be one of: ${SETTLEMENT_ITEM_TYPES.join(', ')}`),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+  ],
+  handleValidationErrors,
+  reconciliationController.getSettlementReport
+);
+
+// Initiate refund route
+router.post('/:order_id/refund',
+  protectWithScope('refunds:create'),
+  restrictTo('admin', 'trustee'),
+  [
+    param('order_id')
+      .isMongoId()
+      .withMessage('Order ID must be a valid MongoDB ObjectId'),
+    body('amount')
+      .optional()
+      .isNumeric()
+      .withMessage('Refund amount must be a number')
+      .custom(value => {
+        if (parseFloat(value) <= 0) {
+          throw new Error('Refund amount must be greater than 0');
+        }
+        return true;
+      }),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  paymentController.initiateRefund
+);
+
+// List refunds for an order route
+router.get('/:order_id/refunds',
+  protectWithScope('refunds:read'),
+  restrictTo('admin', 'trustee'),
+  [
+    param('order_id')
+      .isMongoId()
+      .withMessage('Order ID must be a valid MongoDB ObjectId')
+  ],
+  handleValidationErrors,
+  paymentController.getRefunds
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,147 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import schoolController from '../controllers/schoolController.js';
+import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Validation middleware for handling validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg).join(', ');
+    logger.warn('Validation errors in school route', {
+      path: req.path,
+      method: req.method,
+      errors: errors.array()
+    });
+    throw new AppError(`Validation error: ${errorMessages}`, 400);
+  }
+  next();
+};
+
+const schoolIdValidation = param('id')
+  .isMongoId()
+  .withMessage('School ID must be a valid MongoDB ObjectId');
+
+const addressValidation = [
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+  body(['address.line1', 'address.line2', 'address.city', 'address.state', 'address.postal_code', 'address.country'])
+    .optional()
+    .isString()
+    .withMessage('Address fields must be strings')
+    .isLength({ max: 200 })
+    .withMessage('Address fields cannot exceed 200 characters')
+];
+
+// Create school route
+router.post('/',
+  protect,
+  restrictTo('admin'),
+  [
+    body('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('School name is required')
+      .isLength({ max: 200 })
+      .withMessage('School name cannot exceed 200 characters'),
+    body('trustee_id')
+      .notEmpty()
+      .withMessage('Trustee ID is required')
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    ...addressValidation,
+    body('gateway_credentials')
+      .optional()
+      .isObject()
+      .withMessage('Gateway credentials must be an object'),
+    body(['gateway_credentials.pg_key', 'gateway_credentials.api_key'])
+      .optional()
+      .isString()
+      .withMessage('Gateway credentials must be strings')
+  ],
+  handleValidationErrors,
+  schoolController.createSchool
+);
+
+// List schools route
+router.get('/',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    query('trustee_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    query('include_inactive')
+      .optional()
+      .isBoolean()
+      .withMessage('include_inactive must be true or false')
+  ],
+  handleValidationErrors,
+  schoolController.getSchools
+);
+
+// Get school route
+router.get('/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [schoolIdValidation],
+  handleValidationErrors,
+  schoolController.getSchool
+);
+
+// Update school route
+router.patch('/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    schoolIdValidation,
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('School name cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('School name cannot exceed 200 characters'),
+    ...addressValidation,
+    body('trustee_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Trustee ID must be a valid MongoDB ObjectId'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ],
+  handleValidationErrors,
+  schoolController.updateSchool
+);
+
+// Update gateway credentials route (admin only: they decide where payments are settled)
+router.put('/:id/gateway-credentials',
+  protect,
+  restrictTo('admin'),
+  [
+    schoolIdValidation,
+    body(['pg_key', 'api_key'])
+      .optional()
+      .isString()
+      .withMessage('Gateway credentials must be strings')
+  ],
+  handleValidationErrors,
+  schoolController.updateGatewayCredentials
+);
+
+export default router;
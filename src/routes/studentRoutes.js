@@ -0,0 +1,169 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import studentController from '../controllers/studentController.js';
+import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Validation middleware for handling validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg).join(', ');
+    logger.warn('Validation errors in student route', {
+      path: req.path,
+      method: req.method,
+      errors: errors.array()
+    });
+    throw new AppError(`Validation error: ${errorMessages}`, 400);
+  }
+  next();
+};
+
+const studentIdValidation = param('id')
+  .isMongoId()
+  .withMessage('Student ID must be a valid MongoDB ObjectId');
+
+// Shared by create and update; required fields are checked on create only
+const studentFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Student name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Student name cannot exceed 100 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Student email must be a valid email address'),
+  body(['class', 'section'])
+    .optional()
+    .isString()
+    .withMessage('Class and section must be strings')
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Class and section cannot exceed 20 characters'),
+  body('guardians')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Guardians must be an array of at most 5 contacts'),
+  body('guardians.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Guardian name is required'),
+  body('guardians.*.email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Guardian email must be a valid email address'),
+  body(['guardians.*.relation', 'guardians.*.phone'])
+    .optional()
+    .isString()
+    .withMessage('Guardian relation and phone must be strings')
+    .isLength({ max: 30 })
+    .withMessage('Guardian relation and phone cannot exceed 30 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Create student route
+router.post('/',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [
+    body('student_id')
+      .trim()
+      .notEmpty()
+      .withMessage('Student ID is required')
+      .isLength({ max: 50 })
+      .withMessage('Student ID cannot exceed 50 characters'),
+    body('name')
+      .notEmpty()
+      .withMessage('Student name is required'),
+    body('class')
+      .notEmpty()
+      .withMessage('Class is required'),
+    body('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    ...studentFieldValidation
+  ],
+  handleValidationErrors,
+  studentController.createStudent
+);
+
+// List students route
+router.get('/',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('school_id')
+      .optional()
+      .isMongoId()
+      .withMessage('School ID must be a valid MongoDB ObjectId'),
+    query(['q', 'class', 'section'])
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Search, class and section cannot exceed 100 characters'),
+    query('isActive')
+      .optional()
+      .isIn(['true', 'false', 'all'])
+      .withMessage('isActive must be one of: true, false, all')
+  ],
+  handleValidationErrors,
+  studentController.getStudents
+);
+
+// Get student route
+router.get('/:id',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [studentIdValidation],
+  handleValidationErrors,
+  studentController.getStudent
+);
+
+// Update student route
+router.patch('/:id',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [studentIdValidation, ...studentFieldValidation],
+  handleValidationErrors,
+  studentController.updateStudent
+);
+
+// Student ledger route
+router.get('/:id/ledger',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [studentIdValidation],
+  handleValidationErrors,
+  studentController.getLedger
+);
+
+// Student dues route
+router.get('/:id/dues',
+  protect,
+  restrictTo('admin', 'trustee', 'staff'),
+  [studentIdValidation],
+  handleValidationErrors,
+  studentController.getDues
+);
+
+export default router;
@@ -0,0 +1,122 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import trusteeController from '../controllers/trusteeController.js';
+import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+import { validationResult } from 'express-validator';
+
+const router = express.Router();
+
+// Validation middleware for handling validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(error => error.msg).join(', ');
+    logger.warn('Validation errors in trustee route', {
+      path: req.path,
+      method: req.method,
+      errors: errors.array()
+    });
+    throw new AppError(`Validation error: ${errorMessages}`, 400);
+  }
+  next();
+};
+
+const trusteeIdValidation = param('id')
+  .isMongoId()
+  .withMessage('Trustee ID must be a valid MongoDB ObjectId');
+
+// Shared by create and update; name is additionally required on create
+const trusteeFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Trustee name cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Trustee name cannot exceed 200 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('phone')
+    .optional()
+    .isString()
+    .withMessage('Phone must be a string')
+    .isLength({ max: 20 })
+    .withMessage('Phone cannot exceed 20 characters'),
+  body('address')
+    .optional()
+    .isObject()
+    .withMessage('Address must be an object'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+];
+
+// Create trustee route
+router.post('/',
+  protect,
+  restrictTo('admin'),
+  [
+    body('name')
+      .notEmpty()
+      .withMessage('Trustee name is required'),
+    ...trusteeFieldValidation
+  ],
+  handleValidationErrors,
+  trusteeController.createTrustee
+);
+
+// List trustees route
+router.get('/',
+  protect,
+  restrictTo('admin'),
+  [
+    query('include_inactive')
+      .optional()
+      .isBoolean()
+      .withMessage('include_inactive must be true or false')
+  ],
+  handleValidationErrors,
+  trusteeController.getTrustees
+);
+
+// Get trustee route
+router.get('/:id',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [trusteeIdValidation],
+  handleValidationErrors,
+  trusteeController.getTrustee
+);
+
+// Update trustee route
+router.patch('/:id',
+  protect,
+  restrictTo('admin'),
+  [trusteeIdValidation, ...trusteeFieldValidation],
+  handleValidationErrors,
+  trusteeController.updateTrustee
+);
+
+// List a trustee's schools route
+router.get('/:id/schools',
+  protect,
+  restrictTo('admin', 'trustee'),
+  [
+    trusteeIdValidation,
+    query('include_inactive')
+      .optional()
+      .isBoolean()
+      .withMessage('include_inactive must be true or false')
+  ],
+  handleValidationErrors,
+  trusteeController.getTrusteeSchools
+);
+
+export default router;
@@ -3,6 +3,7 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
+import cookieParser from 'cookie-parser';
 import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import mongoSanitize from 'express-mongo-sanitize';
@@ -10,6 +11,7 @@ import xss from 'xss-clean';
 
 // Import local modules
 import database from './config/database.js';
+import { OrderStatus } from './models/index.js';
 import logger from './utils/logger.js';
 import {
   globalErrorHandler,
@@ -21,6 +23,11 @@ import {
 import { catchAsync } from './utils/asyncHelpers.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import feeStructureRoutes from './routes/feeStructureRoutes.js';
+import schoolRoutes from './routes/schoolRoutes.js';
+import studentRoutes from './routes/studentRoutes.js';
+import trusteeRoutes from './routes/trusteeRoutes.js';
+import reconciliationService from './services/reconciliationService.js';
 
 // Handle uncaught exceptions
 uncaughtExceptionHandler();
@@ -48,10 +55,16 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 // Body parsing middleware
+// Webhooks are unauthenticated, so their bodies are parsed first with a much smaller cap
+app.use('/api/payments/webhook', express.json({
+  limit: process.env.WEBHOOK_BODY_LIMIT || '64kb',
+  type: 'application/json'
+}));
 app.use(express.json({ 
   limit: '10mb',
   type: 'application/json'
@@ -60,6 +73,7 @@ app.use(express.urlencoded({
   extended: true, 
   limit: '10mb' 
 }));
+app.use(cookieParser());
 
 
 // Compression middleware
@@ -76,8 +90,9 @@ const limiter = rateLimit({
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   skip: (req) => {
-    // Skip rate limiting for health checks
-    return req.path === '/health' || req.path === '/api/health';
+    // Skip rate limiting for health checks, and for webhooks (limited on their route)
+    return req.path === '/health' || req.path === '/api/health' ||
+      /^\/payments\/webhook(\/[^/]+)?\/?$/.test(req.path);
   }
 });
 
@@ -155,6 +170,16 @@ app.use('/api/auth', authRoutes);
 // Payment routes
 app.use('/api/payments', paymentRoutes);
 
+// School and trustee routes
+app.use('/api/schools', schoolRoutes);
+app.use('/api/trustees', trusteeRoutes);
+
+// Fee structure routes
+app.use('/api/fee-structures', feeStructureRoutes);
+
+// Student routes
+app.use('/api/students', studentRoutes);
+
 // Handle undefined routes
 // Global error handling middleware (must be last)
 app.use(globalErrorHandler);
@@ -178,12 +203,21 @@ const startServer = async () => {
       });
     });
 
+    // Start background reconciliation of stale pending orders
+    reconciliationService.start();
+
+    // Older order statuses only have the collect request ID inside payment_details
+    OrderStatus.backfillCollectRequestIds().catch(error => {
+      logger.error('Failed to backfill collect request IDs', { error: error.message });
+    });
+
     // Handle unhandled promise rejections
     unhandledRejectionHandler(server);
 
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
+      reconciliationService.stop();
       
       server.close(async () => {
         logger.info('HTTP server closed');
@@ -0,0 +1,202 @@
+import { OrderStatus } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildTransactionPipeline } from '../utils/transactionPipeline.js';
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Payments that were collected, even if later refunded
+const SUCCESSFUL_STATUSES = ['completed', 'refunded'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 30;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const round = (value) => Math.round(value * 100) / 100;
+
+// Accumulators shared by every breakdown
+const METRIC_ACCUMULATORS = {
+  transaction_count: { $sum: 1 },
+  successful_count: {
+    $sum: { $cond: [{ $in: ['$status', SUCCESSFUL_STATUSES] }, 1, 0] }
+  },
+  collected_amount: {
+    $sum: {
+      $cond: [
+        { $in: ['$status', SUCCESSFUL_STATUSES] },
+        { $ifNull: ['$transaction_amount', '$order_amount'] },
+        0
+      ]
+    }
+  },
+  order_amount: { $sum: '$order_amount' }
+};
+
+class AnalyticsService {
+  /**
+   * Resolve the requested period and the equally long period before it
+   * @param {string} from - Start date (YYYY-MM-DD), defaults to 30 days before `to`
+   * @param {string} to - End date (YYYY-MM-DD), defaults to today
+   * @returns {Object} current and previous periods as YYYY-MM-DD strings
+   */
+  resolvePeriods(from, to) {
+    const end = to ? new Date(to) : new Date(toDateString(new Date()));
+    const start = from ? new Date(from) : new Date(end.getTime() - (DEFAULT_PERIOD_DAYS - 1) * DAY_MS);
+
+    if (start > end) {
+      throw new AppError('From date must be before to date', 400);
+    }
+
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    const previousEnd = new Date(start.getTime() - DAY_MS);
+    const previousStart = new Date(previousEnd.getTime() - (days - 1) * DAY_MS);
+
+    return {
+      current: { from: toDateString(start), to: toDateString(end), days },
+      previous: { from: toDateString(previousStart), to: toDateString(previousEnd), days }
+    };
+  }
+
+  /**
+   * Build the filtered transaction pipeline for one period
+   * @param {Object} period - { from, to } as YYYY-MM-DD strings
+   * @param {string} schools - Comma separated school IDs
+   * @param {Object} scope - Tenant restriction from tenantScopeService.getScope
+   * @returns {Array<Object>} Aggregation pipeline
+   */
+  buildPeriodPipeline(period, schools, scope) {
+    return buildTransactionPipeline({
+      schools,
+      scope,
+      from: period.from,
+      to: period.to,
+      extraFields: {
+        payment_mode: 1
+      }
+    });
+  }
+
+  /**
+   * Turn raw accumulator output into reported metrics
+   * @param {Object} group - Grouped aggregation result
+   * @returns {Object} Metrics with success rate and average ticket size
+   */
+  formatMetrics(group = {}) {
+    const transactionCount = group.transaction_count || 0;
+    const successfulCount = group.successful_count || 0;
+    const collectedAmount = group.collected_amount || 0;
+
+    return {
+      transaction_count: transactionCount,
+      successful_count: successfulCount,
+      collected_amount: round(collectedAmount),
+      order_amount: round(group.order_amount || 0),
+      success_rate: transactionCount > 0 ? round((successfulCount / transactionCount) * 100) : 0,
+      average_ticket_size: successfulCount > 0 ? round(collectedAmount / successfulCount) : 0
+    };
+  }
+
+  /**
+   * Compare current totals against the previous period
+   * @param {Object} current - Current period metrics
+   * @param {Object} previous - Previous period metrics
+   * @returns {Object} Percentage changes (success rate as percentage points)
+   */
+  compareMetrics(current, previous) {
+    const percentChange = (now, before) => (before === 0 ? null : round(((now - before) / before) * 100));
+
+    return {
+      transaction_count: percentChange(current.transaction_count, previous.transaction_count),
+      collected_amount: percentChange(current.collected_amount, previous.collected_amount),
+      average_ticket_size: percentChange(current.average_ticket_size, previous.average_ticket_size),
+      success_rate_points: round(current.success_rate - previous.success_rate)
+    };
+  }
+
+  /**
+   * Build collection analytics for a period, with breakdowns and a previous-period comparison
+   * @param {Object} options - Analytics options
+   * @param {string} options.from - Start date (YYYY-MM-DD)
+   * @param {string} options.to - End date (YYYY-MM-DD)
+   * @param {string} options.schools - Comma separated school IDs
+   * @param {string} options.interval - day, week or month
+   * @param {Object} options.user - Authenticated user
+   * @param {Object} options.scope - Tenant restriction from tenantScopeService.getScope
+   * @returns {Promise<Object>} Analytics report
+   */
+  async getAnalytics({ from, to, schools = '', interval = 'day', user, scope = {} }) {
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      throw new AppError(`Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`, 400);
+    }
+
+    const periods = this.resolvePeriods(from, to);
+
+    const groupBy = (key) => [
+      { $group: { _id: key, ...METRIC_ACCUMULATORS } },
+      { $sort: { collected_amount: -1 } }
+    ];
+
+    const [[current = {}], [previous = {}]] = await Promise.all([
+      OrderStatus.aggregate([
+        ...this.buildPeriodPipeline(periods.current, schools, scope),
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, ...METRIC_ACCUMULATORS } }],
+            time_series: [
+              {
+                $group: {
+                  _id: {
+                    $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' }
+                  },
+                  ...METRIC_ACCUMULATORS
+                }
+              },
+              { $sort: { _id: 1 } }
+            ],
+            by_school: groupBy('$school_id'),
+            by_gateway: groupBy('$gateway_name'),
+            by_payment_mode: groupBy('$payment_mode'),
+            by_status: groupBy('$status')
+          }
+        }
+      ]),
+      OrderStatus.aggregate([
+        ...this.buildPeriodPipeline(periods.previous, schools, scope),
+        { $group: { _id: null, ...METRIC_ACCUMULATORS } }
+      ])
+    ]);
+
+    const totals = this.formatMetrics(current.totals?.[0]);
+    const previousTotals = this.formatMetrics(previous);
+    const breakdown = (groups = [], key) => groups.map(group => ({
+      [key]: group._id,
+      ...this.formatMetrics(group)
+    }));
+
+    logger.info('Transaction analytics generated', {
+      userId: user._id,
+      role: user.role,
+      interval,
+      period: periods.current,
+      transactionCount: totals.transaction_count
+    });
+
+    return {
+      period: { ...periods.current, interval },
+      previous_period: periods.previous,
+      totals,
+      previous_totals: previousTotals,
+      change: this.compareMetrics(totals, previousTotals),
+      time_series: breakdown(current.time_series, 'period_start'),
+      by_school: breakdown(current.by_school, 'school_id'),
+      by_gateway: breakdown(current.by_gateway, 'gateway_name'),
+      by_payment_mode: breakdown(current.by_payment_mode, 'payment_mode'),
+      by_status: breakdown(current.by_status, 'status')
+    };
+  }
+}
+
+// Create singleton instance
+const analyticsService = new AnalyticsService();
+
+export default analyticsService;
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { ApiKey, User } from '../models/index.js';
+import auditService from './auditService.js';
+import schoolService from './schoolService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// How often last_used_at is written when a key is used (ms)
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Hash an API key secret for storage
+   * @param {string} secret - API key secret
+   * @returns {string} SHA-256 hex digest
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Generate the key for an API key document. The document ID is embedded so
+   * the key can be found without a lookup by hash.
+   * @param {ObjectId} apiKeyId - API key document ID
+   * @returns {Object} Key and the hash of its secret
+   */
+  generateKey(apiKeyId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    return {
+      key: `${apiKeyId}.${secret}`,
+      hash: this.hashSecret(secret)
+    };
+  }
+
+  /**
+   * Extract an API key from the Authorization header ("ApiKey <key>")
+   * @param {Object} req - Express request object
+   * @returns {string|null} API key
+   */
+  extractKeyFromRequest(req) {
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+
+    return scheme === 'ApiKey' && key ? key : null;
+  }
+
+  /**
+   * Mint an API key. Trustees can only restrict keys to their own schools.
+   * @param {Object} options - Key options
+   * @param {string} options.name - Label for the key
+   * @param {Array<string>} options.scopes - Granted scopes
+   * @param {string} options.school_id - Restrict the key to one school
+   * @param {string} options.expires_at - Expiry date, if any
+   * @param {Object} user - User creating the key
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<Object>} API key document and the plain key, shown once
+   */
+  async createKey({ name, scopes, school_id, expires_at }, user, context = {}) {
+    if (school_id) {
+      await schoolService.getAccessibleSchool(school_id, user);
+    }
+
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      throw new AppError('Expiry date must be in the future', 400);
+    }
+
+    const apiKeyId = new mongoose.Types.ObjectId();
+    const { key, hash } = this.generateKey(apiKeyId);
+
+    const apiKey = await ApiKey.create({
+      _id: apiKeyId,
+      name,
+      key_hash: hash,
+      scopes: [...new Set(scopes)],
+      school_id,
+      created_by: user._id,
+      expires_at
+    });
+
+    await auditService.record({
+      action: 'api_key_created',
+      actorId: user._id,
+      context,
+      details: {
+        api_key_id: apiKey._id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        school_id: apiKey.school_id,
+        expires_at: apiKey.expires_at
+      }
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List API keys. Admins see every key, trustees only their own.
+   * @param {Object} user - User listing the keys
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.created_by - Only keys created by this user (admin only)
+   * @param {boolean} filters.includeRevoked - Include revoked keys
+   * @returns {Promise<Array<Object>>} API key documents, newest first
+   */
+  async listKeys(user, { created_by, includeRevoked = false } = {}) {
+    const filter = {};
+
+    if (user.role !== 'admin') {
+      filter.created_by = user._id;
+    } else if (created_by) {
+      filter.created_by = created_by;
+    }
+
+    if (!includeRevoked) {
+      filter.revoked_at = null;
+    }
+
+    return ApiKey.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke an API key. Trustees can only revoke keys they created.
+   * @param {string} apiKeyId - API key ID
+   * @param {Object} user - User revoking the key
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<Object>} Revoked API key document
+   */
+  async revokeKey(apiKeyId, user, context = {}) {
+    const filter = { _id: apiKeyId, revoked_at: null };
+    if (user.role !== 'admin') {
+      filter.created_by = user._id;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      filter,
+      { $set: { revoked_at: new Date(), revoked_by: user._id } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw new AppError('No active API key found with that ID', 404);
+    }
+
+    await auditService.record({
+      action: 'api_key_revoked',
+      actorId: user._id,
+      targetUserId: apiKey.created_by,
+      context,
+      details: {
+        api_key_id: apiKey._id,
+        name: apiKey.name
+      }
+    });
+
+    return apiKey;
+  }
+
+  /**
+   * Resolve an API key to the key document and the user it acts for
+   * @param {string} key - API key from the Authorization header
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} apiKey and user documents
+   */
+  async authenticate(key, ip = '') {
+    const [apiKeyId, secret] = key.split('.');
+
+    if (!secret || !mongoose.Types.ObjectId.isValid(apiKeyId)) {
+      throw new AppError('Invalid API key', 401);
+    }
+
+    const apiKey = await ApiKey.findById(apiKeyId).select('+key_hash');
+
+    if (!apiKey || apiKey.key_hash !== this.hashSecret(secret)) {
+      throw new AppError('Invalid API key', 401);
+    }
+
+    if (!apiKey.isActive()) {
+      throw new AppError(apiKey.revoked_at ? 'This API key has been revoked' : 'This API key has expired', 401);
+    }
+
+    const user = await User.findById(apiKey.created_by);
+
+    if (!user || !user.isActive) {
+      throw new AppError('The user who created this API key no longer has access', 401);
+    }
+
+    if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() >= LAST_USED_UPDATE_INTERVAL) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date(), last_used_ip: ip } });
+    }
+
+    logger.debug('API key authenticated', {
+      apiKeyId: apiKey._id,
+      userId: user._id
+    });
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Get the school a request is restricted to by its API key, if any
+   * @param {Object} req - Express request object
+   * @returns {string|undefined} School ID
+   */
+  getRestrictedSchoolId(req) {
+    return req.apiKey?.school_id?.toString();
+  }
+
+  /**
+   * Reject requests whose API key is restricted to a different school
+   * @param {Object} req - Express request object
+   * @param {string|ObjectId} schoolId - School the request touches
+   */
+  assertSchoolAccess(req, schoolId) {
+    const restrictedSchoolId = this.getRestrictedSchoolId(req);
+
+    if (restrictedSchoolId && restrictedSchoolId !== schoolId?.toString()) {
+      logger.warn('API key school restriction denied access', {
+        apiKeyId: req.apiKey._id,
+        restrictedSchoolId,
+        requestedSchoolId: schoolId?.toString()
+      });
+      throw new AppError('This API key is restricted to a different school', 403);
+    }
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
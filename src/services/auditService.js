@@ -0,0 +1,75 @@
+import { AuditLog } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+class AuditService {
+  /**
+   * Record an audit log entry. Failures are logged and never break the
+   * request that triggered them.
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - One of AUDIT_ACTIONS
+   * @param {ObjectId} entry.actorId - User who performed the action, if not the system
+   * @param {ObjectId} entry.targetUserId - User the action applies to
+   * @param {Object} entry.context - Request context (ip, user_agent)
+   * @param {Object} entry.details - Action specific details
+   * @returns {Promise<Object|null>} Audit log document, or null if it couldn't be saved
+   */
+  async record({ action, actorId, targetUserId, context = {}, details = {} }) {
+    logger.info('Audit event', {
+      action,
+      actorId,
+      targetUserId,
+      ip: context.ip,
+      ...details
+    });
+
+    try {
+      return await AuditLog.create({
+        action,
+        actor_id: actorId,
+        target_user_id: targetUserId,
+        ip: context.ip,
+        user_agent: context.user_agent,
+        details
+      });
+    } catch (error) {
+      logger.error('Failed to save audit log', {
+        action,
+        targetUserId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.action - Only this action
+   * @param {string} filters.actor_id - Only actions by this user
+   * @param {string} filters.target_user_id - Only actions on this user
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Page size
+   * @returns {Promise<Object>} Entries and the total count
+   */
+  async list({ action, actor_id, target_user_id, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor_id) filter.actor_id = actor_id;
+    if (target_user_id) filter.target_user_id = target_user_id;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return { logs, total };
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+export default auditService;
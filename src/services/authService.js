@@ -1,27 +1,30 @@
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
 import User from '../models/User.js';
+import sessionService from './sessionService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
 class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET;
-    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '7d';
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+    this.emailVerificationExpiresIn = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
   }
 
   /**
-   * Generate JWT token for user
+   * Generate JWT access token for user
    * @param {string} userId - User ID
+   * @param {string} sessionId - Session the token belongs to
    * @returns {string} JWT token
    */
-  generateToken(userId) {
+  generateToken(userId, sessionId) {
     try {
       if (!this.jwtSecret) {
         throw new Error('JWT_SECRET is not configured');
       }
 
       const token = jwt.sign(
-        { id: userId },
+        { id: userId, sid: sessionId },
         this.jwtSecret,
         { 
           expiresIn: this.jwtExpiresIn,
@@ -31,6 +34,7 @@ class AuthService {
 
       logger.debug('JWT token generated', {
         userId,
+        sessionId,
         expiresIn: this.jwtExpiresIn
       });
 
@@ -84,23 +88,121 @@ class AuthService {
   }
 
   /**
-   * Create and send JWT token response
+   * Sign a short-lived token for a single purpose (e.g. email verification).
+   * Purpose tokens are never accepted as access tokens.
+   * @param {Object} payload - Token payload (must include the user id)
+   * @param {string} purpose - What the token may be used for
+   * @param {string} expiresIn - Token lifetime
+   * @returns {string} JWT token
+   */
+  generatePurposeToken(payload, purpose, expiresIn) {
+    if (!this.jwtSecret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    return jwt.sign(
+      { ...payload, purpose },
+      this.jwtSecret,
+      {
+        expiresIn,
+        algorithm: 'HS256'
+      }
+    );
+  }
+
+  /**
+   * Verify a purpose token
+   * @param {string} token - JWT token
+   * @param {string} purpose - Expected purpose
+   * @param {string} errorMessage - Message for invalid or expired tokens
+   * @param {number} statusCode - Status code for invalid or expired tokens
+   * @returns {Object} Decoded payload
+   */
+  verifyPurposeToken(token, purpose, errorMessage, statusCode = 400) {
+    const verificationResult = this.verifyToken(token);
+
+    if (!verificationResult.success || verificationResult.payload.purpose !== purpose) {
+      throw new AppError(errorMessage, statusCode);
+    }
+
+    return verificationResult.payload;
+  }
+
+  /**
+   * Generate a signed email verification token. The email is part of the
+   * payload so links stop working once the address changes.
+   * @param {Object} user - User object
+   * @returns {string} JWT token
+   */
+  generateEmailVerificationToken(user) {
+    return this.generatePurposeToken(
+      { id: user._id, email: user.email },
+      'email_verification',
+      this.emailVerificationExpiresIn
+    );
+  }
+
+  /**
+   * Verify an email verification token
+   * @param {string} token - JWT token from the verification link
+   * @returns {Object} Decoded payload with user id and email
+   */
+  verifyEmailVerificationToken(token) {
+    return this.verifyPurposeToken(token, 'email_verification', 'Email verification link is invalid or has expired');
+  }
+
+  /**
+   * Get the client details stored on a session
+   * @param {Object} req - Express request object
+   * @returns {Object} Client IP and user agent
+   */
+  getRequestContext(req) {
+    return {
+      ip: req.ip || '',
+      user_agent: req.get('User-Agent') || ''
+    };
+  }
+
+  /**
+   * Start a new session and send its tokens
+   * @param {Object} user - User object
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSendToken(user, statusCode, req, res) {
+    const { session, refreshToken } = await sessionService.createSession(user, this.getRequestContext(req));
+
+    this.sendTokens(user, session, refreshToken, statusCode, res);
+  }
+
+  /**
+   * Send an access token and refresh token for a session
    * @param {Object} user - User object
+   * @param {Object} session - Session document
+   * @param {string} refreshToken - Refresh token for the session
    * @param {number} statusCode - HTTP status code
    * @param {Object} res - Express response object
    */
-  createSendToken(user, statusCode, res) {
-    const token = this.generateToken(user._id);
-    
+  sendTokens(user, session, refreshToken, statusCode, res) {
+    const token = this.generateToken(user._id, session._id);
+    const { exp } = jwt.decode(token);
+
     const cookieOptions = {
-      expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict'
     };
 
     // Set JWT cookie
-    res.cookie('jwt', token, cookieOptions);
+    res.cookie('jwt', token, { ...cookieOptions, expires: new Date(exp * 1000) });
+
+    // Refresh token is only sent to the auth routes
+    res.cookie('refresh_token', refreshToken, {
+      ...cookieOptions,
+      expires: session.expires_at,
+      path: '/api/auth'
+    });
 
     // Remove password from output
     user.password = undefined;
@@ -108,19 +210,34 @@ class AuthService {
     logger.info('Authentication successful', {
       userId: user._id,
       username: user.username,
-      role: user.role
+      role: user.role,
+      sessionId: session._id
     });
 
     res.status(statusCode).json({
       status: 'success',
       message: 'Authentication successful',
       token,
+      refresh_token: refreshToken,
+      expires_at: new Date(exp * 1000),
       data: {
         user
       }
     });
   }
 
+  /**
+   * Clear the authentication cookies
+   * @param {Object} res - Express response object
+   */
+  clearAuthCookies(res) {
+    res.cookie('jwt', 'loggedout', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+    res.clearCookie('refresh_token', { path: '/api/auth' });
+  }
+
   /**
    * Extract token from request
    * @param {Object} req - Express request object
@@ -141,6 +258,15 @@ class AuthService {
     return token;
   }
 
+  /**
+   * Extract refresh token from request body or cookie
+   * @param {Object} req - Express request object
+   * @returns {string|null} Refresh token
+   */
+  extractRefreshTokenFromRequest(req) {
+    return req.body?.refresh_token || req.cookies?.refresh_token || null;
+  }
+
   /**
    * Get current user from token
    * @param {string} token - JWT token
@@ -157,6 +283,11 @@ class AuthService {
 
       const decoded = verificationResult.payload;
 
+      // Tokens minted for other purposes (e.g. email verification) can't be used to sign in
+      if (decoded.purpose) {
+        throw new AppError('Invalid token', 401);
+      }
+
       // Check if user still exists
       const currentUser = await User.findById(decoded.id).select('+password');
       if (!currentUser) {
@@ -173,6 +304,14 @@ class AuthService {
         throw new AppError('User recently changed password! Please log in again', 401);
       }
 
+      // Check the session behind the token hasn't been revoked
+      const session = decoded.sid ? await sessionService.getActiveSession(decoded.sid) : null;
+      if (!session || !session.user_id.equals(currentUser._id)) {
+        throw new AppError('Your session is no longer valid. Please log in again', 401);
+      }
+      currentUser.$locals.sessionId = session._id;
+      await sessionService.touchSession(session);
+
       logger.debug('Current user retrieved from token', {
         userId: currentUser._id,
         username: currentUser.username,
@@ -227,6 +366,8 @@ class AuthService {
     return {
       jwtSecret: !!this.jwtSecret,
       jwtExpiresIn: this.jwtExpiresIn,
+      refreshTokenExpiresDays: sessionService.refreshTokenExpiresDays,
+      emailVerificationExpiresIn: this.emailVerificationExpiresIn,
       isValid: this.validateConfiguration()
     };
   }
@@ -0,0 +1,398 @@
+import mongoose from 'mongoose';
+import { FeeStructure } from '../models/index.js';
+import schoolService from './schoolService.js';
+import ledgerService from './ledgerService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const FEE_HEAD_FIELDS = ['name', 'category', 'amount', 'due_date', 'applicable_classes', 'description', 'isActive'];
+
+// Amounts are rupees with paise; summing floats can leave 0.1 + 0.2 style noise
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class FeeStructureService {
+  /**
+   * Create a school's fee structure for an academic year
+   * @param {Object} data - Fee structure data
+   * @param {string} data.school_id - School ID
+   * @param {string} data.academic_year - Academic year, e.g. 2025-26
+   * @param {Array<Object>} data.fee_heads - Fee heads
+   * @param {Object} user - User creating the fee structure
+   * @returns {Promise<Object>} Fee structure document
+   */
+  async createFeeStructure({ school_id, academic_year, fee_heads = [] }, user) {
+    const school = await schoolService.getAccessibleSchool(school_id, user);
+
+    if (await FeeStructure.exists({ school_id: school._id, academic_year })) {
+      throw new AppError(`A fee structure for ${academic_year} already exists for this school`, 409);
+    }
+
+    const feeStructure = await FeeStructure.create({
+      school_id: school._id,
+      trustee_id: school.trustee_id,
+      academic_year,
+      fee_heads: fee_heads.map(pickFeeHeadFields),
+      created_by: user._id
+    });
+
+    logger.info('Fee structure created', {
+      feeStructureId: feeStructure._id,
+      schoolId: school._id,
+      academicYear: academic_year,
+      feeHeads: feeStructure.fee_heads.length,
+      createdBy: user._id
+    });
+
+    return feeStructure;
+  }
+
+  /**
+   * List fee structures in the caller's scope, newest academic year first
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.school_id - Only this school
+   * @param {string} filters.academic_year - Only this academic year
+   * @param {boolean} filters.includeInactive - Include deactivated fee structures
+   * @returns {Promise<Array<Object>>} Fee structure documents
+   */
+  async listFeeStructures(scopeFilter, { school_id, academic_year, includeInactive = false } = {}) {
+    const filter = {};
+
+    if (school_id) filter.school_id = school_id;
+    if (academic_year) filter.academic_year = academic_year;
+    if (!includeInactive) filter.isActive = true;
+
+    // Tenant filter last so a school_id filter can't widen it
+    return FeeStructure.find({ ...filter, ...scopeFilter }).sort({ academic_year: -1, school_id: 1 });
+  }
+
+  /**
+   * Get a fee structure in the caller's scope. Fee structures of other
+   * tenants are reported as not found.
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @returns {Promise<Object>} Fee structure document
+   */
+  async getFeeStructure(feeStructureId, scopeFilter) {
+    const feeStructure = mongoose.Types.ObjectId.isValid(feeStructureId)
+      ? await FeeStructure.findOne({ _id: feeStructureId, ...scopeFilter })
+      : null;
+
+    if (!feeStructure) {
+      throw new AppError('No fee structure found with that ID', 404);
+    }
+
+    return feeStructure;
+  }
+
+  /**
+   * Change a fee structure's academic year or active flag
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} updates - { academic_year, isActive }
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async updateFeeStructure(feeStructureId, scopeFilter, { academic_year, isActive }) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+
+    if (academic_year !== undefined && academic_year !== feeStructure.academic_year) {
+      if (await FeeStructure.exists({ school_id: feeStructure.school_id, academic_year })) {
+        throw new AppError(`A fee structure for ${academic_year} already exists for this school`, 409);
+      }
+      feeStructure.academic_year = academic_year;
+    }
+
+    if (isActive !== undefined) {
+      feeStructure.isActive = isActive;
+    }
+
+    await feeStructure.save();
+
+    return feeStructure;
+  }
+
+  /**
+   * Delete a fee structure nobody has paid against yet
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @returns {Promise<void>}
+   */
+  async deleteFeeStructure(feeStructureId, scopeFilter) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+
+    if (await this.hasPayments({ 'fee_heads.fee_structure_id': feeStructure._id })) {
+      throw new AppError('This fee structure has payments against it. Deactivate it instead', 409);
+    }
+
+    await feeStructure.deleteOne();
+
+    logger.info('Fee structure deleted', { feeStructureId: feeStructure._id });
+  }
+
+  /**
+   * Add a fee head to a fee structure
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} feeHead - Fee head data
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async addFeeHead(feeStructureId, scopeFilter, feeHead) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+
+    feeStructure.fee_heads.push(pickFeeHeadFields(feeHead));
+    await feeStructure.save();
+
+    return feeStructure;
+  }
+
+  /**
+   * Change a fee head. Orders keep the name and amount they were priced with.
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {string} feeHeadId - Fee head ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} updates - Fee head fields to change
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async updateFeeHead(feeStructureId, feeHeadId, scopeFilter, updates) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+    const feeHead = this.getFeeHead(feeStructure, feeHeadId);
+
+    if (updates.amount !== undefined && updates.amount !== feeHead.amount && feeHead.installments.length > 0) {
+      throw new AppError('Change or remove the installment plan before changing the fee head amount', 400);
+    }
+
+    feeHead.set(pickFeeHeadFields(updates));
+    await feeStructure.save();
+
+    return feeStructure;
+  }
+
+  /**
+   * Remove a fee head nobody has paid against yet
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {string} feeHeadId - Fee head ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async removeFeeHead(feeStructureId, feeHeadId, scopeFilter) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+    const feeHead = this.getFeeHead(feeStructure, feeHeadId);
+
+    if (await this.hasPayments({ 'fee_heads.fee_head_id': feeHead._id })) {
+      throw new AppError('This fee head has payments against it. Deactivate it instead', 409);
+    }
+
+    feeHead.deleteOne();
+    await feeStructure.save();
+
+    return feeStructure;
+  }
+
+  /**
+   * Get a fee head of a fee structure
+   * @param {Object} feeStructure - Fee structure document
+   * @param {string} feeHeadId - Fee head ID
+   * @returns {Object} Fee head subdocument
+   */
+  getFeeHead(feeStructure, feeHeadId) {
+    const feeHead = mongoose.Types.ObjectId.isValid(feeHeadId) ? feeStructure.fee_heads.id(feeHeadId) : null;
+
+    if (!feeHead) {
+      throw new AppError('No fee head found with that ID', 404);
+    }
+
+    return feeHead;
+  }
+
+  /**
+   * Set up or replace a fee head's installment plan. Installments are named
+   * "Installment 1 of 3" and so on unless a name is given.
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {string} feeHeadId - Fee head ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Array<Object>} installments - { name, amount, due_date } per installment
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async setInstallmentPlan(feeStructureId, feeHeadId, scopeFilter, installments) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+    const feeHead = this.getFeeHead(feeStructure, feeHeadId);
+
+    await this.assertNoPayments(feeHead);
+
+    const total = roundAmount(installments.reduce((sum, installment) => sum + installment.amount, 0));
+    if (total !== roundAmount(feeHead.amount)) {
+      throw new AppError(`Installment amounts add up to ${total} but the fee head amount is ${feeHead.amount}`, 400);
+    }
+
+    feeHead.installments = [...installments]
+      .sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+      .map((installment, index, sorted) => ({
+        name: installment.name || `Installment ${index + 1} of ${sorted.length}`,
+        amount: installment.amount,
+        due_date: installment.due_date
+      }));
+
+    await feeStructure.save();
+
+    logger.info('Installment plan set', {
+      feeStructureId: feeStructure._id,
+      feeHeadId: feeHead._id,
+      installments: feeHead.installments.length
+    });
+
+    return feeStructure;
+  }
+
+  /**
+   * Remove a fee head's installment plan so it is paid in one go again
+   * @param {string} feeStructureId - Fee structure ID
+   * @param {string} feeHeadId - Fee head ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @returns {Promise<Object>} Updated fee structure document
+   */
+  async removeInstallmentPlan(feeStructureId, feeHeadId, scopeFilter) {
+    const feeStructure = await this.getFeeStructure(feeStructureId, scopeFilter);
+    const feeHead = this.getFeeHead(feeStructure, feeHeadId);
+
+    if (feeHead.installments.length === 0) {
+      throw new AppError('This fee head has no installment plan', 400);
+    }
+
+    await this.assertNoPayments(feeHead);
+
+    feeHead.installments = [];
+    await feeStructure.save();
+
+    return feeStructure;
+  }
+
+  /**
+   * Check for orders that were paid or are still in flight. Failed, expired
+   * and abandoned attempts don't count.
+   * @param {Object} orderFilter - Order query conditions
+   * @returns {Promise<boolean>} Whether such orders exist
+   */
+  async hasPayments(orderFilter) {
+    return (await ledgerService.findLiveOrders(orderFilter)).length > 0;
+  }
+
+  /**
+   * Reject changes to an installment plan once the fee head has been paid
+   * against, since orders point at its installments
+   * @param {Object} feeHead - Fee head subdocument
+   * @returns {Promise<void>}
+   */
+  async assertNoPayments(feeHead) {
+    if (await this.hasPayments({ 'fee_heads.fee_head_id': feeHead._id })) {
+      throw new AppError('This fee head has payments against it, so its installment plan cannot change', 409);
+    }
+  }
+
+  /**
+   * Price a payment from fee heads and installments. Each must belong to an
+   * active fee structure of the school and apply to the student's class.
+   * @param {string|ObjectId} schoolId - School the payment is collected for
+   * @param {Object} items - What is being paid for
+   * @param {Array<string>} items.feeHeadIds - Fee heads paid in full
+   * @param {Array<string>} items.installmentIds - Single installments of fee heads
+   * @param {string} studentClass - Student's class; required for fee heads limited to some classes
+   * @returns {Promise<Object>} { amount, fee_heads, claims } with fee_heads ready to store on the
+   * order and claims ({ key, name }) for ledgerService.claimFees
+   */
+  async resolveFeeHeads(schoolId, { feeHeadIds = [], installmentIds = [] }, studentClass) {
+    const ids = [...feeHeadIds, ...installmentIds].map(String);
+
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('fee_head_ids and installment_ids cannot contain duplicates', 400);
+    }
+
+    const feeStructures = await FeeStructure.find({
+      school_id: schoolId,
+      isActive: true,
+      $or: [
+        { 'fee_heads._id': { $in: feeHeadIds } },
+        { 'fee_heads.installments._id': { $in: installmentIds } }
+      ]
+    });
+
+    // Find the fee head matching a predicate, with the fee structure it belongs to
+    const findFeeHead = (id, label, predicate) => {
+      for (const feeStructure of feeStructures) {
+        const feeHead = feeStructure.fee_heads.find(predicate);
+
+        if (feeHead?.isActive) {
+          if (!FeeStructure.appliesToClass(feeHead, studentClass)) {
+            throw new AppError(studentClass
+              ? `Fee head "${feeHead.name}" does not apply to class ${studentClass}`
+              : `Fee head "${feeHead.name}" is only for some classes; send student_info.class`, 400);
+          }
+          return { feeStructure, feeHead };
+        }
+      }
+
+      throw new AppError(`${label} ${id} was not found for this school`, 400);
+    };
+
+    // A whole fee head also claims its installments, so it can't be paid next to one of them
+    const claims = [];
+
+    const feeHeads = [
+      ...feeHeadIds.map(feeHeadId => {
+        const { feeStructure, feeHead } = findFeeHead(feeHeadId, 'Fee head', head => head._id.equals(feeHeadId));
+
+        claims.push(
+          { key: `fee_head:${feeHead._id}`, name: feeHead.name },
+          ...feeHead.installments.map(installment => ({ key: `installment:${installment._id}`, name: feeHead.name }))
+        );
+
+        return {
+          fee_structure_id: feeStructure._id,
+          fee_head_id: feeHead._id,
+          name: feeHead.name,
+          amount: feeHead.amount
+        };
+      }),
+      ...installmentIds.map(installmentId => {
+        const { feeStructure, feeHead } = findFeeHead(installmentId, 'Installment', head => head.installments.id(installmentId));
+        const installment = feeHead.installments.id(installmentId);
+
+        claims.push({ key: `installment:${installment._id}`, name: `${feeHead.name} (${installment.name})` });
+
+        return {
+          fee_structure_id: feeStructure._id,
+          fee_head_id: feeHead._id,
+          installment_id: installment._id,
+          name: `${feeHead.name} (${installment.name})`,
+          amount: installment.amount
+        };
+      })
+    ];
+
+    // Paying a whole fee head and one of its installments together would charge twice
+    const paidInFull = new Set(feeHeads.filter(item => !item.installment_id).map(item => item.fee_head_id.toString()));
+    const overlap = feeHeads.find(item => item.installment_id && paidInFull.has(item.fee_head_id.toString()));
+    if (overlap) {
+      throw new AppError(`"${overlap.name}" is already included by its fee head`, 400);
+    }
+
+    return {
+      amount: roundAmount(feeHeads.reduce((total, feeHead) => total + feeHead.amount, 0)),
+      fee_heads: feeHeads,
+      claims
+    };
+  }
+}
+
+/**
+ * Copy the fee head fields present in request data
+ * @param {Object} source - Request data
+ * @returns {Object} Fee head fields
+ */
+const pickFeeHeadFields = (source) => Object.fromEntries(
+  FEE_HEAD_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Create singleton instance
+const feeStructureService = new FeeStructureService();
+
+export default feeStructureService;
@@ -0,0 +1,94 @@
+import GatewayAdapter from './gatewayAdapter.js';
+import paymentService from '../paymentService.js';
+import paymentJWTService from '../../utils/paymentJWT.js';
+import logger from '../../utils/logger.js';
+
+// Gateways Edviron routes payments to; create-payment accepts these as gateway_name
+const ROUTED_GATEWAYS = ['razorpay', 'payu', 'ccavenue', 'instamojo', 'cashfree'];
+
+/**
+ * Adapter for the Edviron collect-request API.
+ * Requests are signed with the school's PG key and sent through PaymentService
+ * with the school's API key.
+ */
+class EdvironAdapter extends GatewayAdapter {
+  constructor() {
+    super('edviron', { routedGateways: ROUTED_GATEWAYS });
+  }
+
+  async createCollectRequest({ school_id, amount, callback_url, credentials = {} }) {
+    const sign = paymentJWTService.signCreateCollectRequest({ school_id, amount, callback_url }, credentials.pg_key);
+
+    return paymentService.createCollectRequest({ school_id, amount, callback_url, sign }, credentials.api_key);
+  }
+
+  async checkStatus({ collect_request_id, school_id, credentials = {} }) {
+    const sign = paymentJWTService.signStatusCheck({ school_id, collect_request_id }, credentials.pg_key);
+
+    return paymentService.checkPaymentStatus(collect_request_id, school_id, sign, credentials.api_key);
+  }
+
+  async refund({ school_id, collect_request_id, refund_amount, refund_note, refund_id, credentials = {} }) {
+    const sign = paymentJWTService.signRefundRequest({ school_id, collect_request_id, refund_amount }, credentials.pg_key);
+
+    return paymentService.initiateRefund({
+      school_id,
+      collect_request_id,
+      refund_amount,
+      refund_note,
+      refund_id,
+      sign
+    }, credentials.api_key);
+  }
+
+  async checkRefundStatus({ school_id, collect_request_id, refund_id, credentials = {} }) {
+    const sign = paymentJWTService.signRefundStatusCheck({ school_id, collect_request_id, refund_id }, credentials.pg_key);
+
+    return paymentService.checkRefundStatus({ school_id, collect_request_id, refund_id }, sign, credentials.api_key);
+  }
+
+  verifyWebhookSignature(body, credentials = {}) {
+    const sign = body?.sign;
+
+    if (!sign) {
+      return {
+        success: false,
+        error: { message: 'Webhook signature is missing' }
+      };
+    }
+
+    const verificationResult = paymentJWTService.verifyToken(sign, credentials.pg_key);
+
+    if (!verificationResult.success) {
+      return verificationResult;
+    }
+
+    // The sign must be for the order in the body; its status is re-checked with the gateway
+    const mismatch = paymentJWTService.getWebhookMismatch(verificationResult.payload, body.order_info);
+
+    if (mismatch) {
+      logger.warn('Webhook signature does not match body', {
+        mismatch,
+        signed_collect_request_id: verificationResult.payload.collect_request_id,
+        collect_request_id: body.order_info?.order_id
+      });
+
+      return {
+        success: false,
+        error: { message: `Webhook signature does not match ${mismatch}` }
+      };
+    }
+
+    return verificationResult;
+  }
+
+  mapStatus(gatewayStatus) {
+    return paymentService.mapGatewayStatus(gatewayStatus);
+  }
+
+  mapRefundStatus(gatewayStatus) {
+    return paymentService.mapRefundStatus(gatewayStatus);
+  }
+}
+
+export default EdvironAdapter;
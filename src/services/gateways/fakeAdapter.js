@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import GatewayAdapter from './gatewayAdapter.js';
+import paymentJWTService from '../../utils/paymentJWT.js';
+import logger from '../../utils/logger.js';
+
+// Secret from older example configs; anyone could forge webhooks with it
+const PUBLIC_EXAMPLE_SECRET = 'fake-gateway-secret';
+
+/**
+ * In-process gateway for local development and tests.
+ * Collect requests and refunds live in memory and never leave the process.
+ * The outcome of new collect requests defaults to FAKE_GATEWAY_OUTCOME
+ * (SUCCESS, FAILED or PENDING) and can be changed per request with setOutcome.
+ */
+class FakeAdapter extends GatewayAdapter {
+  constructor() {
+    super('fake');
+
+    if (!process.env.FAKE_GATEWAY_SECRET || process.env.FAKE_GATEWAY_SECRET === PUBLIC_EXAMPLE_SECRET) {
+      throw new Error('FAKE_GATEWAY_SECRET must be set to a private value to enable the fake gateway');
+    }
+
+    this.secret = process.env.FAKE_GATEWAY_SECRET;
+    this.defaultOutcome = (process.env.FAKE_GATEWAY_OUTCOME || 'SUCCESS').toUpperCase();
+    this.collectRequests = new Map();
+    this.refunds = new Map();
+  }
+
+  async createCollectRequest({ school_id, amount, callback_url }) {
+    const collect_request_id = `fake_${crypto.randomBytes(12).toString('hex')}`;
+
+    this.collectRequests.set(collect_request_id, {
+      school_id,
+      amount: Number(amount),
+      callback_url,
+      status: this.defaultOutcome,
+      refunded: 0
+    });
+
+    const paymentUrl = new URL(callback_url);
+    paymentUrl.searchParams.set('EdvironCollectRequestId', collect_request_id);
+    paymentUrl.searchParams.set('status', this.defaultOutcome);
+
+    logger.info('Fake gateway collect request created', {
+      collect_request_id,
+      school_id,
+      amount
+    });
+
+    return {
+      success: true,
+      data: {
+        collect_request_id,
+        payment_url: paymentUrl.toString()
+      }
+    };
+  }
+
+  async checkStatus({ collect_request_id }) {
+    const collectRequest = this.collectRequests.get(collect_request_id);
+
+    if (!collectRequest) {
+      return {
+        success: false,
+        error: {
+          message: 'Collect request not found',
+          status: 404,
+          code: 'PAYMENT_STATUS_ERROR'
+        }
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        status: collectRequest.status,
+        amount: collectRequest.amount,
+        details: { gateway: this.name }
+      }
+    };
+  }
+
+  async refund({ collect_request_id, refund_amount, refund_id }) {
+    const collectRequest = this.collectRequests.get(collect_request_id);
+    const amount = Number(refund_amount);
+
+    if (!collectRequest || collectRequest.status !== 'SUCCESS') {
+      return {
+        success: false,
+        error: {
+          message: 'Collect request is not refundable',
+          status: 400,
+          code: 'REFUND_API_ERROR'
+        }
+      };
+    }
+
+    if (collectRequest.refunded + amount > collectRequest.amount) {
+      return {
+        success: false,
+        error: {
+          message: 'Refund amount exceeds collected amount',
+          status: 400,
+          code: 'REFUND_API_ERROR'
+        }
+      };
+    }
+
+    collectRequest.refunded += amount;
+    const refund_request_id = `fake_rf_${crypto.randomBytes(8).toString('hex')}`;
+    this.refunds.set(refund_id, { refund_request_id, status: 'SUCCESS' });
+
+    return {
+      success: true,
+      data: {
+        refund_request_id,
+        status: 'SUCCESS',
+        details: { refund_request_id, refund_id, refund_amount: amount }
+      }
+    };
+  }
+
+  async checkRefundStatus({ refund_id }) {
+    const refund = this.refunds.get(refund_id);
+
+    if (!refund) {
+      return {
+        success: false,
+        error: {
+          message: 'Refund not found',
+          status: 404,
+          code: 'REFUND_STATUS_ERROR'
+        }
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        refund_request_id: refund.refund_request_id,
+        status: refund.status,
+        details: { gateway: this.name }
+      }
+    };
+  }
+
+  verifyWebhookSignature(body) {
+    if (!body?.sign) {
+      return {
+        success: false,
+        error: { message: 'Webhook signature is missing' }
+      };
+    }
+
+    const verificationResult = paymentJWTService.verifyToken(body.sign, this.secret);
+
+    if (!verificationResult.success) {
+      return verificationResult;
+    }
+
+    const mismatch = paymentJWTService.getWebhookMismatch(verificationResult.payload, body.order_info);
+
+    if (mismatch) {
+      return {
+        success: false,
+        error: { message: `Webhook signature does not match ${mismatch}` }
+      };
+    }
+
+    return verificationResult;
+  }
+
+  mapStatus(gatewayStatus) {
+    const normalizedStatus = String(gatewayStatus || '').toUpperCase();
+
+    if (normalizedStatus === 'SUCCESS') {
+      return 'completed';
+    }
+    if (normalizedStatus === 'FAILED') {
+      return 'failed';
+    }
+    return 'pending';
+  }
+
+  mapRefundStatus(gatewayStatus) {
+    return String(gatewayStatus || '').toUpperCase() === 'SUCCESS' ? 'completed' : 'processing';
+  }
+
+  /**
+   * Set the outcome reported for a collect request
+   * @param {string} collectRequestId - Collect request ID
+   * @param {string} status - SUCCESS, FAILED or PENDING
+   * @returns {boolean} True if the collect request exists
+   */
+  setOutcome(collectRequestId, status) {
+    const collectRequest = this.collectRequests.get(collectRequestId);
+
+    if (!collectRequest) {
+      return false;
+    }
+
+    collectRequest.status = status.toUpperCase();
+    return true;
+  }
+
+  /**
+   * Sign a webhook body the way the fake gateway would
+   * @param {Object} orderInfo - order_info to send
+   * @returns {Object} Webhook body including its signature
+   */
+  signWebhook(orderInfo) {
+    return {
+      status: 200,
+      order_info: orderInfo,
+      sign: paymentJWTService.signWebhook({
+        collect_request_id: orderInfo.order_id
+      }, this.secret)
+    };
+  }
+}
+
+export default FakeAdapter;
@@ -0,0 +1,103 @@
+/**
+ * Base class for payment gateway adapters.
+ *
+ * Every adapter speaks to one gateway and returns results in the same
+ * `{ success, data }` / `{ success, error }` shape used by PaymentService,
+ * so controllers never need to know which gateway handled a payment.
+ */
+class GatewayAdapter {
+  /**
+   * @param {string} name - Gateway name the adapter is registered under
+   * @param {Object} options - Adapter options
+   * @param {string[]} options.routedGateways - Other gateway names this adapter collects payments for
+   */
+  constructor(name, { routedGateways = [] } = {}) {
+    this.name = name;
+    this.routedGateways = routedGateways;
+  }
+
+  /**
+   * Create a collect request (payment order)
+   * @param {Object} paymentData - Payment request data
+   * @param {string} paymentData.school_id - School ID
+   * @param {string} paymentData.amount - Amount in INR
+   * @param {string} paymentData.callback_url - Callback URL after payment
+   * @param {Object} paymentData.credentials - School's gateway credentials ({ pg_key, api_key })
+   * @returns {Promise<Object>} Result with collect_request_id and payment_url
+   */
+  async createCollectRequest(paymentData) {
+    throw new Error(`${this.name} adapter does not implement createCollectRequest`);
+  }
+
+  /**
+   * Check the status of a collect request
+   * @param {Object} statusData - Status check data
+   * @param {string} statusData.collect_request_id - Collect request ID
+   * @param {string} statusData.school_id - School ID
+   * @param {Object} statusData.credentials - School's gateway credentials ({ pg_key, api_key })
+   * @returns {Promise<Object>} Result with the gateway status, amount and details
+   */
+  async checkStatus(statusData) {
+    throw new Error(`${this.name} adapter does not implement checkStatus`);
+  }
+
+  /**
+   * Refund a settled collect request
+   * @param {Object} refundData - Refund data
+   * @param {string} refundData.school_id - School ID
+   * @param {string} refundData.collect_request_id - Collect request ID being refunded
+   * @param {string} refundData.refund_amount - Amount to refund in INR
+   * @param {string} refundData.refund_note - Reason for the refund
+   * @param {string} refundData.refund_id - Our refund record ID
+   * @param {Object} refundData.credentials - School's gateway credentials ({ pg_key, api_key })
+   * @returns {Promise<Object>} Result with refund_request_id and the gateway status. Set
+   * `error.ambiguous` on failures the gateway may still have acted on, such as timeouts.
+   */
+  async refund(refundData) {
+    throw new Error(`${this.name} adapter does not implement refund`);
+  }
+
+  /**
+   * Check the status of a refund
+   * @param {Object} refundData - Refund lookup data
+   * @param {string} refundData.school_id - School ID
+   * @param {string} refundData.collect_request_id - Collect request the refund was made against
+   * @param {string} refundData.refund_id - Our refund record ID, as sent to refund
+   * @param {Object} refundData.credentials - School's gateway credentials ({ pg_key, api_key })
+   * @returns {Promise<Object>} Result with refund_request_id and the gateway status; a 404
+   * error status means the gateway has no such refund
+   */
+  async checkRefundStatus(refundData) {
+    throw new Error(`${this.name} adapter does not implement checkRefundStatus`);
+  }
+
+  /**
+   * Verify the signature of a webhook sent by the gateway
+   * @param {Object} body - Webhook body
+   * @param {Object} credentials - Gateway credentials of the order's school ({ pg_key, api_key })
+   * @returns {Object} Verification result
+   */
+  verifyWebhookSignature(body, credentials) {
+    throw new Error(`${this.name} adapter does not implement verifyWebhookSignature`);
+  }
+
+  /**
+   * Map a gateway payment status to our order status
+   * @param {string} gatewayStatus - Status reported by the gateway
+   * @returns {string} Order status
+   */
+  mapStatus(gatewayStatus) {
+    throw new Error(`${this.name} adapter does not implement mapStatus`);
+  }
+
+  /**
+   * Map a gateway refund status to our refund status
+   * @param {string} gatewayStatus - Refund status reported by the gateway
+   * @returns {string} Refund status
+   */
+  mapRefundStatus(gatewayStatus) {
+    throw new Error(`${this.name} adapter does not implement mapRefundStatus`);
+  }
+}
+
+export default GatewayAdapter;
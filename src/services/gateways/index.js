@@ -0,0 +1,87 @@
+import GatewayAdapter from './gatewayAdapter.js';
+import EdvironAdapter from './edvironAdapter.js';
+import FakeAdapter from './fakeAdapter.js';
+import logger from '../../utils/logger.js';
+
+// Gateway used for any gateway_name without its own adapter. Edviron routes
+// payments to the underlying gateways (razorpay, payu, ...) itself.
+const DEFAULT_GATEWAY = process.env.DEFAULT_PAYMENT_GATEWAY || 'edviron';
+
+const adapters = new Map();
+
+/**
+ * Register a gateway adapter under its name
+ * @param {GatewayAdapter} adapter - Adapter instance
+ */
+export const registerGateway = (adapter) => {
+  if (!(adapter instanceof GatewayAdapter)) {
+    throw new Error('Gateway adapters must extend GatewayAdapter');
+  }
+
+  adapters.set(adapter.name.toLowerCase(), adapter);
+  logger.debug('Payment gateway adapter registered', { gateway: adapter.name });
+};
+
+/**
+ * Check whether a dedicated adapter is registered for a gateway
+ * @param {string} gatewayName - Gateway name
+ * @returns {boolean} True if an adapter is registered
+ */
+export const hasGatewayAdapter = (gatewayName) => {
+  return adapters.has(String(gatewayName || '').toLowerCase());
+};
+
+/**
+ * Get the adapter for a gateway, falling back to the default gateway
+ * @param {string} gatewayName - Gateway name (usually Order.gateway_name)
+ * @returns {GatewayAdapter} Adapter instance
+ */
+export const getGatewayAdapter = (gatewayName) => {
+  const adapter = adapters.get(String(gatewayName || '').toLowerCase());
+
+  if (adapter) {
+    return adapter;
+  }
+
+  const defaultAdapter = adapters.get(DEFAULT_GATEWAY);
+
+  if (!defaultAdapter) {
+    throw new Error(`Default payment gateway '${DEFAULT_GATEWAY}' is not registered`);
+  }
+
+  return defaultAdapter;
+};
+
+/**
+ * List registered gateway names
+ * @returns {string[]} Gateway names
+ */
+export const listGateways = () => Array.from(adapters.keys());
+
+/**
+ * List the gateway names payments can be created with: registered adapters
+ * and the gateways they route payments to
+ * @returns {string[]} Gateway names
+ */
+export const listSupportedGateways = () => Array.from(adapters.values())
+  .flatMap(adapter => [adapter.name, ...adapter.routedGateways])
+  .map(name => name.toLowerCase());
+
+/**
+ * Check whether payments can be created with a gateway name
+ * @param {string} gatewayName - Gateway name from the request
+ * @returns {boolean} True if a registered adapter handles the gateway
+ */
+export const isSupportedGateway = (gatewayName) => {
+  return listSupportedGateways().includes(String(gatewayName || '').toLowerCase());
+};
+
+registerGateway(new EdvironAdapter());
+
+// The fake gateway completes payments without collecting money, so it has to be
+// switched on explicitly and is never available in production
+if (process.env.ENABLE_FAKE_GATEWAY === 'true' && process.env.NODE_ENV !== 'production') {
+  registerGateway(new FakeAdapter());
+}
+
+export { GatewayAdapter };
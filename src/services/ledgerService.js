@@ -0,0 +1,424 @@
+import { FeeClaim, FeeStructure, Order, OrderStatus, Refund } from '../models/index.js';
+import reconciliationService from './reconciliationService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Payments that were collected, even if later refunded
+const PAID_STATUSES = ['completed', 'refunded'];
+
+// Payments still waiting on the gateway; past the expiry window they are abandoned
+const IN_FLIGHT_STATUSES = ['pending', 'processing'];
+
+// How long a claim holds before its order has a status, covering the gateway call
+const CLAIM_CREATE_WINDOW_MS = 2 * 60 * 1000;
+
+// Entries on the same day are listed fee first, then payments, then refunds
+const ENTRY_ORDER = { fee: 0, payment: 1, refund: 2 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class LedgerService {
+  /**
+   * Get the fees assigned to a student: every active fee head of the
+   * school's active fee structures that applies to the student's class.
+   * A fee head with an installment plan is listed once per installment.
+   * @param {Object} student - Student document
+   * @returns {Promise<Array<Object>>} Assigned fees, earliest due first
+   */
+  async getAssignedFees(student) {
+    const feeStructures = await FeeStructure.find({ school_id: student.school_id, isActive: true });
+
+    return feeStructures
+      .flatMap(feeStructure => feeStructure.fee_heads
+        .filter(feeHead => feeHead.isActive && FeeStructure.appliesToClass(feeHead, student.class))
+        .flatMap(feeHead => {
+          const fee = {
+            fee_structure_id: feeStructure._id,
+            fee_head_id: feeHead._id,
+            academic_year: feeStructure.academic_year,
+            name: feeHead.name,
+            category: feeHead.category,
+            amount: feeHead.amount,
+            due_date: feeHead.due_date
+          };
+
+          if (feeHead.installments.length === 0) return [fee];
+
+          return feeHead.installments.map((installment, index) => ({
+            ...fee,
+            installment_id: installment._id,
+            installment_number: index + 1,
+            installment_count: feeHead.installments.length,
+            name: `${feeHead.name} (${installment.name})`,
+            fee_head_name: feeHead.name,
+            amount: installment.amount,
+            due_date: installment.due_date
+          }));
+        }))
+      .sort((a, b) => a.due_date - b.due_date);
+  }
+
+  /**
+   * Get a student's collected payments and completed refunds. Orders are
+   * matched on the school and the school's student ID.
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} { payments, refunds }, payments oldest first
+   */
+  async getPaymentsAndRefunds(student) {
+    const orders = await Order.find({ school_id: student.school_id, 'student_info.id': student.student_id });
+    const orderIds = orders.map(order => order._id);
+
+    const [orderStatuses, refunds] = await Promise.all([
+      OrderStatus.find({ collect_id: { $in: orderIds }, status: { $in: PAID_STATUSES } }).sort({ payment_time: 1 }),
+      Refund.find({ collect_id: { $in: orderIds }, status: 'completed' }).sort({ processed_at: 1 })
+    ]);
+
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    const payments = orderStatuses.map(orderStatus => ({
+      order: ordersById.get(orderStatus.collect_id.toString()),
+      order_status: orderStatus,
+      amount: orderStatus.transaction_amount,
+      date: orderStatus.payment_time
+    }));
+
+    return { payments, refunds };
+  }
+
+  /**
+   * Get the orders matching a filter that were paid, or are still in flight
+   * within the reconciler's expiry window. Failed, cancelled, expired and
+   * abandoned attempts are left out.
+   * @param {Object} orderFilter - Order query conditions
+   * @returns {Promise<Array<Object>>} Order documents
+   */
+  async findLiveOrders(orderFilter) {
+    const orders = await Order.find(orderFilter);
+
+    if (orders.length === 0) return [];
+
+    const liveIds = await OrderStatus.distinct('collect_id', {
+      collect_id: { $in: orders.map(order => order._id) },
+      $or: [
+        { status: { $in: PAID_STATUSES } },
+        { status: { $in: IN_FLIGHT_STATUSES }, createdAt: { $gte: reconciliationService.getExpiryCutoff() } }
+      ]
+    });
+
+    const live = new Set(liveIds.map(String));
+    return orders.filter(order => live.has(order._id.toString()));
+  }
+
+  /**
+   * Claim fee heads and installments for a new order, so two orders can't pay
+   * for the same item at once. Claims held by orders that failed, expired or
+   * were abandoned are taken over. Claim before checking the ledger: a claim
+   * is only taken over from a completed order once that payment is recorded.
+   * @param {Object} order - Order about to be created (school_id, student_info and _id set)
+   * @param {Array<Object>} claims - { key, name } from feeStructureService.resolveFeeHeads
+   * @returns {Promise<void>}
+   */
+  async claimFees(order, claims) {
+    try {
+      for (const claim of claims) {
+        await this.claimFee(order, claim);
+      }
+    } catch (error) {
+      await this.releaseFees(order._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim one item for an order, or take it over from an order no longer in flight
+   * @param {Object} order - Order about to be created
+   * @param {Object} claim - { key, name }
+   * @returns {Promise<void>}
+   */
+  async claimFee(order, { key, name }) {
+    const filter = { school_id: order.school_id, student_id: order.student_info.id, key };
+    const claimed_at = new Date();
+
+    try {
+      await FeeClaim.create({ ...filter, order_id: order._id, claimed_at });
+      return;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await FeeClaim.findOne(filter);
+
+    if (!existing || await this.isClaimHeld(existing)) {
+      throw new AppError(`"${name}" already has a payment in progress`, 409);
+    }
+
+    // Only one order can take over from the previous holder
+    const taken = await FeeClaim.findOneAndUpdate(
+      { ...filter, order_id: existing.order_id },
+      { $set: { order_id: order._id, claimed_at } }
+    );
+
+    if (!taken) {
+      throw new AppError(`"${name}" already has a payment in progress`, 409);
+    }
+  }
+
+  /**
+   * Check whether a claim's order is still in flight: pending at the gateway
+   * within the expiry window, or still being created
+   * @param {Object} claim - FeeClaim document
+   * @returns {Promise<boolean>} True if the claim can't be taken over
+   */
+  async isClaimHeld(claim) {
+    const orderStatus = await OrderStatus.findOne({ collect_id: claim.order_id });
+
+    if (!orderStatus) {
+      return claim.claimed_at > new Date(Date.now() - CLAIM_CREATE_WINDOW_MS);
+    }
+
+    return IN_FLIGHT_STATUSES.includes(orderStatus.status) &&
+      orderStatus.createdAt >= reconciliationService.getExpiryCutoff();
+  }
+
+  /**
+   * Release an order's claims, e.g. when the gateway refused to create it
+   * @param {ObjectId} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async releaseFees(orderId) {
+    await FeeClaim.deleteMany({ order_id: orderId });
+  }
+
+  /**
+   * Reject paying for fee heads or installments the student has already paid in full
+   * @param {Object} student - Student document, or { school_id, student_id, class } for unregistered students
+   * @param {Array<Object>} items - fee_heads priced by feeStructureService.resolveFeeHeads
+   * @returns {Promise<void>}
+   */
+  async assertPayable(student, items) {
+    const [fees, { payments, refunds }] = await Promise.all([
+      this.getAssignedFees(student),
+      this.getPaymentsAndRefunds(student)
+    ]);
+
+    const allocations = this.allocatePayments(fees, payments, refunds);
+
+    for (const item of items) {
+      const targets = allocations.filter(fee => item.installment_id
+        ? fee.installment_id?.equals(item.installment_id)
+        : fee.fee_head_id.equals(item.fee_head_id));
+
+      if (targets.length > 0 && targets.every(fee => fee.outstanding <= 0)) {
+        throw new AppError(`"${item.name}" is already paid`, 409);
+      }
+    }
+  }
+
+  /**
+   * Work out how much of each assigned fee has been paid. A payment goes to
+   * the fee heads or installments it was created for first (a whole fee head
+   * paid against an installment plan settles its installments in due order);
+   * anything left over, including payments made without fee heads, settles
+   * the earliest due fees.
+   * @param {Array<Object>} fees - Assigned fees from getAssignedFees
+   * @param {Array<Object>} payments - Payments from getPaymentsAndRefunds
+   * @param {Array<Object>} refunds - Completed refunds
+   * @returns {Array<Object>} Fees with paid and outstanding amounts
+   */
+  allocatePayments(fees, payments, refunds) {
+    const allocations = fees.map(fee => ({ ...fee, paid: 0 }));
+    const byFeeHeadId = new Map();
+    const byInstallmentId = new Map();
+
+    for (const fee of allocations) {
+      const feeHeadId = fee.fee_head_id.toString();
+      byFeeHeadId.set(feeHeadId, [...(byFeeHeadId.get(feeHeadId) || []), fee]);
+      if (fee.installment_id) byInstallmentId.set(fee.installment_id.toString(), fee);
+    }
+
+    const refundedByOrder = new Map();
+    for (const refund of refunds) {
+      const orderId = refund.collect_id.toString();
+      refundedByOrder.set(orderId, (refundedByOrder.get(orderId) || 0) + refund.amount);
+    }
+
+    let unallocated = 0;
+
+    for (const payment of payments) {
+      let remaining = Math.max(payment.amount - (refundedByOrder.get(payment.order_status.collect_id.toString()) || 0), 0);
+
+      for (const orderFeeHead of payment.order?.fee_heads || []) {
+        const targets = orderFeeHead.installment_id
+          ? [byInstallmentId.get(orderFeeHead.installment_id.toString())].filter(Boolean)
+          : byFeeHeadId.get(orderFeeHead.fee_head_id.toString()) || [];
+
+        for (const fee of targets) {
+          const applied = Math.min(remaining, fee.amount - fee.paid);
+          fee.paid += applied;
+          remaining -= applied;
+        }
+      }
+
+      unallocated += remaining;
+    }
+
+    for (const fee of allocations) {
+      const applied = Math.min(unallocated, fee.amount - fee.paid);
+      fee.paid += applied;
+      unallocated -= applied;
+    }
+
+    const now = new Date();
+
+    return allocations.map(fee => {
+      const outstanding = round(fee.amount - fee.paid);
+
+      return {
+        ...fee,
+        paid: round(fee.paid),
+        outstanding,
+        status: outstanding <= 0 ? 'paid' : fee.paid > 0 ? 'partially_paid' : 'unpaid',
+        overdue: outstanding > 0 && fee.due_date < now
+      };
+    });
+  }
+
+  /**
+   * Build a student's ledger: assigned fees and refunds are debits,
+   * collected payments are credits, with a running balance
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} { entries, summary }
+   */
+  async getLedger(student) {
+    const [fees, { payments, refunds }] = await Promise.all([
+      this.getAssignedFees(student),
+      this.getPaymentsAndRefunds(student)
+    ]);
+
+    const entries = [
+      ...fees.map(fee => ({
+        type: 'fee',
+        date: fee.due_date,
+        description: `${fee.name} (${fee.academic_year})`,
+        fee_structure_id: fee.fee_structure_id,
+        fee_head_id: fee.fee_head_id,
+        installment_id: fee.installment_id,
+        debit: fee.amount,
+        credit: 0
+      })),
+      ...payments.map(payment => ({
+        type: 'payment',
+        date: payment.date,
+        description: payment.order?.fee_heads?.length
+          ? `Payment for ${payment.order.fee_heads.map(feeHead => feeHead.name).join(', ')}`
+          : 'Payment',
+        order_id: payment.order_status.collect_id,
+        collect_request_id: payment.order_status.getPaymentDetails().collect_request_id,
+        debit: 0,
+        credit: payment.amount
+      })),
+      ...refunds.map(refund => ({
+        type: 'refund',
+        date: refund.processed_at || refund.createdAt,
+        description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+        order_id: refund.collect_id,
+        refund_id: refund._id,
+        debit: refund.amount,
+        credit: 0
+      }))
+    ].sort((a, b) => (a.date - b.date) || (ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]));
+
+    let balance = 0;
+    for (const entry of entries) {
+      balance = round(balance + entry.debit - entry.credit);
+      entry.balance = balance;
+    }
+
+    const totalFees = round(fees.reduce((total, fee) => total + fee.amount, 0));
+    const totalPaid = round(payments.reduce((total, payment) => total + payment.amount, 0));
+    const totalRefunded = round(refunds.reduce((total, refund) => total + refund.amount, 0));
+    const dues = this.allocatePayments(fees, payments, refunds);
+
+    logger.debug('Student ledger built', {
+      studentId: student._id,
+      entries: entries.length,
+      balance
+    });
+
+    return {
+      entries,
+      summary: {
+        total_fees: totalFees,
+        total_paid: totalPaid,
+        total_refunded: totalRefunded,
+        balance,
+        overdue_amount: round(dues.filter(fee => fee.overdue).reduce((total, fee) => total + fee.outstanding, 0))
+      }
+    };
+  }
+
+  /**
+   * Get what a student still owes, fee by fee (installment by installment
+   * for fee heads with a plan), earliest due first
+   * @param {Object} student - Student document
+   * @returns {Promise<Object>} { dues, installment_plans, summary }
+   */
+  async getDues(student) {
+    const [fees, { payments, refunds }] = await Promise.all([
+      this.getAssignedFees(student),
+      this.getPaymentsAndRefunds(student)
+    ]);
+
+    const allocations = this.allocatePayments(fees, payments, refunds);
+    const dues = allocations.filter(fee => fee.outstanding > 0);
+
+    return {
+      dues,
+      installment_plans: this.getInstallmentProgress(allocations),
+      summary: {
+        total_outstanding: round(dues.reduce((total, fee) => total + fee.outstanding, 0)),
+        overdue_amount: round(dues.filter(fee => fee.overdue).reduce((total, fee) => total + fee.outstanding, 0)),
+        overdue_count: dues.filter(fee => fee.overdue).length,
+        next_due_date: dues.find(fee => !fee.overdue)?.due_date || null
+      }
+    };
+  }
+
+  /**
+   * Summarise progress on each installment plan from allocated fees
+   * @param {Array<Object>} allocations - Fees from allocatePayments
+   * @returns {Array<Object>} One entry per fee head with an installment plan
+   */
+  getInstallmentProgress(allocations) {
+    const plans = new Map();
+
+    for (const fee of allocations.filter(item => item.installment_id)) {
+      const feeHeadId = fee.fee_head_id.toString();
+      plans.set(feeHeadId, [...(plans.get(feeHeadId) || []), fee]);
+    }
+
+    return [...plans.values()].map(installments => {
+      const [first] = installments;
+      const unpaid = installments.filter(fee => fee.outstanding > 0);
+
+      return {
+        fee_structure_id: first.fee_structure_id,
+        fee_head_id: first.fee_head_id,
+        academic_year: first.academic_year,
+        name: first.fee_head_name,
+        installments_total: first.installment_count,
+        installments_paid: installments.length - unpaid.length,
+        installments_overdue: unpaid.filter(fee => fee.overdue).length,
+        amount: round(installments.reduce((total, fee) => total + fee.amount, 0)),
+        paid: round(installments.reduce((total, fee) => total + fee.paid, 0)),
+        outstanding: round(unpaid.reduce((total, fee) => total + fee.outstanding, 0)),
+        next_due_date: unpaid[0]?.due_date || null
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const ledgerService = new LedgerService();
+
+export default ledgerService;
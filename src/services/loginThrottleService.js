@@ -0,0 +1,195 @@
+import User from '../models/User.js';
+import auditService from './auditService.js';
+import logger from '../utils/logger.js';
+
+// Cap on the delay between failed attempts, however many there were
+const MAX_FAILURE_DELAY_MS = 30 * 1000;
+
+class LoginThrottleService {
+  constructor() {
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+    this.failureWindowMinutes = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+    this.baseDelayMs = parseInt(process.env.LOGIN_FAILURE_BASE_DELAY_MS || '1000', 10);
+  }
+
+  /**
+   * Delay required after a number of failed attempts. The first failure is
+   * free, then the delay doubles with each one.
+   * @param {number} failedAttempts - Failed attempts in the current window
+   * @returns {number} Delay in milliseconds
+   */
+  getFailureDelay(failedAttempts) {
+    if (failedAttempts < 2) {
+      return 0;
+    }
+
+    return Math.min(this.baseDelayMs * 2 ** (failedAttempts - 2), MAX_FAILURE_DELAY_MS);
+  }
+
+  /**
+   * Check whether a user may try to log in right now
+   * @param {Object} user - User document
+   * @returns {Object|null} Why the attempt is blocked and for how long, or null if allowed
+   */
+  getLoginBlock(user) {
+    const now = Date.now();
+
+    if (user.isLocked()) {
+      return {
+        reason: 'locked',
+        retry_after_seconds: Math.ceil((user.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+
+    if (!user.lastFailedLoginAt || !user.failedLoginAttempts) {
+      return null;
+    }
+
+    const allowedAt = user.lastFailedLoginAt.getTime() + this.getFailureDelay(user.failedLoginAttempts);
+
+    if (allowedAt > now) {
+      return {
+        reason: 'throttled',
+        retry_after_seconds: Math.ceil((allowedAt - now) / 1000)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a failed login attempt and lock the account once the limit is reached
+   * @param {Object} user - User document
+   * @param {string} reason - Why the attempt failed
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<Object>} Failed attempts in the window and the lock expiry, if locked
+   */
+  async recordFailure(user, reason, context = {}) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - this.failureWindowMinutes * 60 * 1000);
+    const windowExpired = {
+      $or: [
+        { $eq: [{ $ifNull: ['$failedLoginWindowStart', null] }, null] },
+        { $lt: ['$failedLoginWindowStart', windowStart] }
+      ]
+    };
+
+    // Pipeline update so parallel failures can't overwrite each other's count
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          failedLoginAttempts: {
+            $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+          },
+          failedLoginWindowStart: {
+            $cond: [windowExpired, now, '$failedLoginWindowStart']
+          },
+          lastFailedLoginAt: now
+        }
+      }],
+      { new: true }
+    );
+
+    const failedAttempts = updated?.failedLoginAttempts || 1;
+
+    if (failedAttempts < this.maxFailedAttempts) {
+      return { failed_attempts: failedAttempts };
+    }
+
+    const lockedUntil = new Date(now.getTime() + this.lockoutMinutes * 60 * 1000);
+
+    // Start a fresh count for when the lock expires
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      {
+        $set: { lockedUntil },
+        $unset: { failedLoginAttempts: 1, failedLoginWindowStart: 1, lastFailedLoginAt: 1 }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn('Account locked after repeated failed logins', {
+        userId: user._id,
+        failedAttempts,
+        lockedUntil
+      });
+
+      await auditService.record({
+        action: 'account_locked',
+        targetUserId: user._id,
+        context,
+        details: {
+          reason,
+          failed_attempts: failedAttempts,
+          window_minutes: this.failureWindowMinutes,
+          locked_until: lockedUntil
+        }
+      });
+    }
+
+    return { failed_attempts: failedAttempts, locked_until: lockedUntil };
+  }
+
+  /**
+   * Clear failed attempts after a successful login
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(user) {
+    if (!user.failedLoginAttempts && !user.lockedUntil) {
+      return;
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $unset: { failedLoginAttempts: 1, failedLoginWindowStart: 1, lastFailedLoginAt: 1, lockedUntil: 1 }
+    });
+  }
+
+  /**
+   * Lift a lockout and clear failed attempts (admin only)
+   * @param {Object} user - User document
+   * @param {ObjectId} adminId - Admin unlocking the account
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<boolean>} True if the account was locked
+   */
+  async unlock(user, adminId, context = {}) {
+    const wasLocked = user.isLocked();
+
+    await User.updateOne({ _id: user._id }, {
+      $unset: { failedLoginAttempts: 1, failedLoginWindowStart: 1, lastFailedLoginAt: 1, lockedUntil: 1 }
+    });
+
+    await auditService.record({
+      action: 'account_unlocked',
+      actorId: adminId,
+      targetUserId: user._id,
+      context,
+      details: {
+        was_locked: wasLocked,
+        failed_attempts: user.failedLoginAttempts || 0
+      }
+    });
+
+    return wasLocked;
+  }
+
+  /**
+   * Get service configuration status
+   * @returns {Object} Configuration status
+   */
+  getConfigStatus() {
+    return {
+      maxFailedAttempts: this.maxFailedAttempts,
+      failureWindowMinutes: this.failureWindowMinutes,
+      lockoutMinutes: this.lockoutMinutes,
+      baseDelayMs: this.baseDelayMs
+    };
+  }
+}
+
+// Create singleton instance
+const loginThrottleService = new LoginThrottleService();
+
+export default loginThrottleService;
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import MailTransport from './mailTransport.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Writes emails to the application log instead of sending them.
+ * Meant for development and offline environments. Bodies can hold live
+ * reset and verification links, so they are only logged in development.
+ */
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+
+    logger.info('Email (console transport)', {
+      messageId,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: process.env.NODE_ENV === 'development' ? message.text : '[redacted outside development]'
+    });
+
+    return { message_id: messageId };
+  }
+}
+
+export default ConsoleTransport;
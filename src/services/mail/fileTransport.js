@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import MailTransport from './mailTransport.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Writes each email as an .eml file so it can be opened in a mail client.
+ * Meant for development and offline environments.
+ */
+class FileTransport extends MailTransport {
+  constructor() {
+    super('file');
+    this.directory = process.env.MAIL_FILE_DIR || 'logs/mail';
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const filePath = path.join(this.directory, `${Date.now()}-${messageId}.eml`);
+
+    const content = [
+      `Message-ID: <${messageId}@localhost>`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+
+    logger.info('Email written to file', {
+      messageId,
+      to: message.to,
+      subject: message.subject,
+      filePath
+    });
+
+    return { message_id: messageId, file_path: filePath };
+  }
+}
+
+export default FileTransport;
@@ -0,0 +1,48 @@
+import MailTransport from './mailTransport.js';
+import ConsoleTransport from './consoleTransport.js';
+import FileTransport from './fileTransport.js';
+import logger from '../../utils/logger.js';
+
+// Transport used when MAIL_TRANSPORT is not set
+const DEFAULT_TRANSPORT = 'console';
+
+const transports = new Map();
+
+/**
+ * Register a mail transport under its name
+ * @param {MailTransport} transport - Transport instance
+ */
+export const registerTransport = (transport) => {
+  if (!(transport instanceof MailTransport)) {
+    throw new Error('Mail transports must extend MailTransport');
+  }
+
+  transports.set(transport.name.toLowerCase(), transport);
+  logger.debug('Mail transport registered', { transport: transport.name });
+};
+
+/**
+ * Get a mail transport by name
+ * @param {string} name - Transport name, defaults to MAIL_TRANSPORT
+ * @returns {MailTransport} Transport instance
+ */
+export const getTransport = (name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT) => {
+  const transport = transports.get(String(name).toLowerCase());
+
+  if (!transport) {
+    throw new Error(`Mail transport '${name}' is not registered`);
+  }
+
+  return transport;
+};
+
+/**
+ * List registered transport names
+ * @returns {string[]} Transport names
+ */
+export const listTransports = () => Array.from(transports.keys());
+
+registerTransport(new ConsoleTransport());
+registerTransport(new FileTransport());
+
+export { MailTransport };
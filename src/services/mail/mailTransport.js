@@ -0,0 +1,29 @@
+/**
+ * Base class for mail transports.
+ *
+ * A transport only delivers an already-built message; templates and the
+ * sender address live in MailService so every transport sends the same mail.
+ */
+class MailTransport {
+  /**
+   * @param {string} name - Transport name it is registered under
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - Message to send
+   * @param {string} message.from - Sender address
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @returns {Promise<Object>} Delivery details (at least a message_id)
+   */
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+export default MailTransport;
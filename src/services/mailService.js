@@ -0,0 +1,107 @@
+import { getTransport } from './mail/index.js';
+import logger from '../utils/logger.js';
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Edviron Payments <no-reply@edviron.local>';
+    this.appUrl = process.env.APP_URL || '';
+  }
+
+  /**
+   * Build a link to a page of the app. Links are only ever built from APP_URL:
+   * the request's Host header is client-controlled and could point them at
+   * another server.
+   * @param {string} appPath - Path on the frontend app
+   * @returns {string} Absolute URL
+   */
+  buildUrl(appPath) {
+    if (!this.appUrl) {
+      throw new Error('APP_URL must be set to send emails with links');
+    }
+
+    return `${this.appUrl.replace(/\/$/, '')}${appPath}`;
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {Object} message - Message to send
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @returns {Promise<Object>} Delivery details from the transport
+   */
+  async send({ to, subject, text }) {
+    const transport = getTransport();
+
+    try {
+      const result = await transport.send({ from: this.from, to, subject, text });
+
+      logger.info('Email sent', {
+        transport: transport.name,
+        to,
+        subject,
+        messageId: result.message_id
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to send email', {
+        transport: transport.name,
+        to,
+        subject,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} resetUrl - Password reset link
+   * @param {number} expiresMinutes - Minutes until the link expires
+   * @returns {Promise<Object>} Delivery details from the transport
+   */
+  async sendPasswordReset(user, resetUrl, expiresMinutes) {
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `The link expires in ${expiresMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {Object} user - User document
+   * @param {string} verificationUrl - Email verification link
+   * @returns {Promise<Object>} Delivery details from the transport
+   */
+  async sendEmailVerification(user, verificationUrl) {
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm this is your email address by opening the link below:',
+        '',
+        verificationUrl,
+        '',
+        "If you didn't create an account, you can ignore this email."
+      ].join('\n')
+    });
+  }
+}
+
+// Create singleton instance
+const mailService = new MailService();
+
+export default mailService;
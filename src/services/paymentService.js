@@ -2,11 +2,24 @@ import axios from 'axios';
 import logger from '../utils/logger.js';
 import { retryWithBackoff } from '../utils/asyncHelpers.js';
 
+// Errors raised before the request could reach the gateway
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Check whether a failed request may still have been carried out by the
+ * gateway: it timed out, the connection dropped, or the gateway answered 5xx
+ * @param {Error} error - Axios error
+ * @returns {boolean} True when the outcome is unknown
+ */
+const isAmbiguousFailure = (error) => (error.response
+  ? error.response.status >= 500
+  : !NOT_SENT_ERROR_CODES.includes(error.code));
+
 class PaymentService {
   constructor() {
     this.baseURL = process.env.PAYMENT_API_BASE_URL;
+    // Default for schools without their own gateway API key
     this.apiKey = process.env.PAYMENT_API_KEY;
-    this.schoolId = process.env.SCHOOL_ID;
     
     // Create axios instance with default configuration
     this.client = axios.create({
@@ -59,6 +72,17 @@ class PaymentService {
     );
   }
 
+  /**
+   * Build per-request axios config that authenticates with a school's API key
+   * @param {string} apiKey - School's gateway API key
+   * @returns {Object} Axios request config
+   */
+  getRequestConfig(apiKey) {
+    return apiKey && apiKey !== this.apiKey
+      ? { headers: { Authorization: `Bearer ${apiKey}` } }
+      : {};
+  }
+
   /**
    * Create a collect request (payment order)
    * @param {Object} paymentData - Payment request data
@@ -66,9 +90,10 @@ class PaymentService {
    * @param {string} paymentData.amount - Amount in INR
    * @param {string} paymentData.callback_url - Callback URL after payment
    * @param {string} paymentData.sign - JWT signed payload
+   * @param {string} apiKey - School's gateway API key (defaults to PAYMENT_API_KEY)
    * @returns {Promise<Object>} Payment response with collect_request_id and payment URL
    */
-  async createCollectRequest(paymentData) {
+  async createCollectRequest(paymentData, apiKey) {
     try {
       logger.info('Creating collect request', {
         school_id: paymentData.school_id,
@@ -76,14 +101,8 @@ class PaymentService {
         callback_url: paymentData.callback_url
       });
 
-      const response = await retryWithBackoff(
-        async () => {
-          return await this.client.post('/create-collect-request', paymentData);
-        },
-        3, // max retries
-        1000, // base delay
-        5000 // max delay
-      );
+      // Sent once: a retry after a timeout could create a second collect request
+      const response = await this.client.post('/create-collect-request', paymentData, this.getRequestConfig(apiKey));
 
       logger.info('Collect request created successfully', {
         collect_request_id: response.data.collect_request_id,
@@ -121,9 +140,10 @@ class PaymentService {
    * @param {string} collectRequestId - The collect request ID
    * @param {string} schoolId - School ID
    * @param {string} sign - JWT signed payload
+   * @param {string} apiKey - School's gateway API key (defaults to PAYMENT_API_KEY)
    * @returns {Promise<Object>} Payment status response
    */
-  async checkPaymentStatus(collectRequestId, schoolId, sign) {
+  async checkPaymentStatus(collectRequestId, schoolId, sign, apiKey) {
     try {
       logger.info('Checking payment status', {
         collect_request_id: collectRequestId,
@@ -133,6 +153,7 @@ class PaymentService {
       const response = await retryWithBackoff(
         async () => {
           return await this.client.get(`/collect-request/${collectRequestId}`, {
+            ...this.getRequestConfig(apiKey),
             params: {
               school_id: schoolId,
               sign: sign
@@ -178,15 +199,171 @@ class PaymentService {
     }
   }
 
+  /**
+   * Initiate a refund against a settled collect request
+   * @param {Object} refundData - Refund request data
+   * @param {string} refundData.school_id - School ID
+   * @param {string} refundData.collect_request_id - Collect request ID being refunded
+   * @param {string} refundData.refund_amount - Amount to refund in INR
+   * @param {string} refundData.refund_note - Reason for the refund
+   * @param {string} refundData.refund_id - Our refund record ID
+   * @param {string} refundData.sign - JWT signed payload
+   * @param {string} apiKey - School's gateway API key (defaults to PAYMENT_API_KEY)
+   * @returns {Promise<Object>} Refund response with refund_request_id and status. A failure
+   * the gateway may still have acted on has `error.ambiguous` set.
+   */
+  async initiateRefund(refundData, apiKey) {
+    try {
+      logger.info('Initiating refund', {
+        school_id: refundData.school_id,
+        collect_request_id: refundData.collect_request_id,
+        refund_amount: refundData.refund_amount
+      });
+
+      // Sent once: the gateway may have refunded already when a request times out,
+      // and nothing tells us it would ignore a repeat
+      const response = await this.client.post('/initiate-refund', refundData, this.getRequestConfig(apiKey));
+
+      logger.info('Refund initiated successfully', {
+        collect_request_id: refundData.collect_request_id,
+        refund_request_id: response.data.refund_request_id,
+        status: response.data.status
+      });
+
+      return {
+        success: true,
+        data: {
+          refund_request_id: response.data.refund_request_id,
+          status: response.data.status,
+          details: response.data
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to initiate refund', {
+        collect_request_id: refundData.collect_request_id,
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+
+      return {
+        success: false,
+        error: {
+          message: error.response?.data?.message || error.message,
+          status: error.response?.status || 500,
+          code: error.response?.data?.code || 'REFUND_API_ERROR',
+          ambiguous: isAmbiguousFailure(error)
+        }
+      };
+    }
+  }
+
+  /**
+   * Check the status of a refund, looked up by the refund ID we sent with it
+   * @param {Object} refundData - Refund lookup data
+   * @param {string} refundData.school_id - School ID
+   * @param {string} refundData.collect_request_id - Collect request the refund was made against
+   * @param {string} refundData.refund_id - Our refund record ID
+   * @param {string} sign - JWT signed payload
+   * @param {string} apiKey - School's gateway API key (defaults to PAYMENT_API_KEY)
+   * @returns {Promise<Object>} Refund status response
+   */
+  async checkRefundStatus({ school_id, collect_request_id, refund_id }, sign, apiKey) {
+    try {
+      logger.info('Checking refund status', {
+        collect_request_id,
+        refund_id
+      });
+
+      // A read, so retrying can't refund twice
+      const response = await retryWithBackoff(
+        async () => {
+          return await this.client.get(`/refund-status/${refund_id}`, {
+            ...this.getRequestConfig(apiKey),
+            params: {
+              school_id,
+              collect_request_id,
+              sign
+            }
+          });
+        },
+        3, // max retries
+        1000, // base delay
+        5000 // max delay
+      );
+
+      return {
+        success: true,
+        data: {
+          refund_request_id: response.data.refund_request_id,
+          status: response.data.status,
+          details: response.data
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to check refund status', {
+        refund_id,
+        message: error.message,
+        response: error.response?.data,
+        status: error.response?.status
+      });
+
+      return {
+        success: false,
+        error: {
+          message: error.response?.data?.message || error.message,
+          status: error.response?.status || 500,
+          code: error.response?.data?.code || 'REFUND_STATUS_ERROR'
+        }
+      };
+    }
+  }
+
+  /**
+   * Map a gateway refund status to our refund status
+   * @param {string} gatewayStatus - Status reported by the gateway (e.g. SUCCESS, PENDING)
+   * @returns {string} Refund status
+   */
+  mapRefundStatus(gatewayStatus) {
+    const normalizedStatus = String(gatewayStatus || '').toUpperCase();
+
+    if (normalizedStatus === 'SUCCESS' || normalizedStatus === 'COMPLETED') {
+      return 'completed';
+    }
+    if (normalizedStatus === 'FAILED' || normalizedStatus === 'FAILURE') {
+      return 'failed';
+    }
+    return 'processing';
+  }
+
+  /**
+   * Map a gateway payment status to our order status
+   * @param {string} gatewayStatus - Status reported by the gateway (e.g. SUCCESS, FAILED)
+   * @returns {string} Order status
+   */
+  mapGatewayStatus(gatewayStatus) {
+    const normalizedStatus = String(gatewayStatus || '').toUpperCase();
+
+    if (normalizedStatus === 'SUCCESS') {
+      return 'completed';
+    }
+    if (normalizedStatus === 'FAILED' || normalizedStatus === 'FAILURE') {
+      return 'failed';
+    }
+    if (normalizedStatus === 'PROCESSING') {
+      return 'processing';
+    }
+    return 'pending';
+  }
+
   /**
    * Validate payment service configuration
    * @returns {boolean} True if configuration is valid
    */
   validateConfiguration() {
+    // The API key can come from each school, so only the base URL is required here
     const requiredConfig = {
-      baseURL: this.baseURL,
-      apiKey: this.apiKey,
-      schoolId: this.schoolId
+      baseURL: this.baseURL
     };
 
     const missingConfig = Object.entries(requiredConfig)
@@ -211,7 +388,6 @@ class PaymentService {
     return {
       baseURL: !!this.baseURL,
       apiKey: !!this.apiKey,
-      schoolId: !!this.schoolId,
       isValid: this.validateConfiguration()
     };
   }
@@ -0,0 +1,411 @@
+import crypto from 'crypto';
+import { JobLock, Order, OrderStatus, ReconciliationRun, Refund } from '../models/index.js';
+import { getGatewayAdapter } from './gateways/index.js';
+import schoolService from './schoolService.js';
+import refundService from './refundService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parallelLimit, rateLimit } from '../utils/asyncHelpers.js';
+
+// JobLock name shared by every instance running the reconciler
+const RECONCILER_LOCK = 'reconciler';
+
+class ReconciliationService {
+  constructor() {
+    this.enabled = process.env.RECONCILER_ENABLED === 'true';
+    this.intervalMinutes = parseInt(process.env.RECONCILER_INTERVAL_MINUTES || '15', 10);
+    this.pendingAgeMinutes = parseInt(process.env.RECONCILER_PENDING_AGE_MINUTES || '30', 10);
+    this.expiryHours = parseInt(process.env.RECONCILER_EXPIRY_HOURS || '24', 10);
+    this.batchSize = parseInt(process.env.RECONCILER_BATCH_SIZE || '100', 10);
+    this.concurrency = parseInt(process.env.RECONCILER_CONCURRENCY || '5', 10);
+    this.rateLimitPerSecond = parseInt(process.env.RECONCILER_RATE_LIMIT || '10', 10);
+    // Only one run at a time across all instances; a run that outlives the lease can overlap the next
+    this.lockMinutes = parseInt(process.env.RECONCILER_LOCK_MINUTES || '10', 10);
+
+    this.timer = null;
+
+    // Status checks are throttled so a large backlog doesn't flood the gateway
+    this.checkStatus = rateLimit(
+      (gateway, statusData) => gateway.checkStatus(statusData),
+      this.rateLimitPerSecond,
+      1000
+    );
+    this.checkRefundStatus = rateLimit(
+      (gateway, refundData) => gateway.checkRefundStatus(refundData),
+      this.rateLimitPerSecond,
+      1000
+    );
+  }
+
+  /**
+   * Start the periodic reconciliation job
+   */
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run({ trigger: 'scheduled' }).catch(error => {
+        if (error.statusCode === 409) {
+          logger.info('Scheduled reconciliation skipped: another run holds the lock');
+          return;
+        }
+        logger.error('Scheduled reconciliation run failed', { error: error.message });
+      });
+    }, this.intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the reconciler
+    this.timer.unref();
+
+    logger.info('Payment reconciler started', {
+      intervalMinutes: this.intervalMinutes,
+      pendingAgeMinutes: this.pendingAgeMinutes,
+      expiryHours: this.expiryHours
+    });
+  }
+
+  /**
+   * Stop the periodic reconciliation job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Payment reconciler stopped');
+    }
+  }
+
+  /**
+   * Get the creation time before which a pending order is given up on
+   * @param {Date} now - Reference time
+   * @returns {Date} Expiry cutoff
+   */
+  getExpiryCutoff(now = new Date()) {
+    return new Date(now.getTime() - this.expiryHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Reconcile one stale order status against its gateway
+   * @param {Object} orderStatus - OrderStatus document with `order` populated
+   * @param {Date} expiryCutoff - Orders created before this are expired if still pending
+   * @returns {Promise<Object>} Result line for the run report
+   */
+  async reconcileOrder(orderStatus, expiryCutoff) {
+    const collect_request_id = orderStatus.getPaymentDetails().collect_request_id || '';
+    const result = {
+      order_status_id: orderStatus._id,
+      collect_id: orderStatus.collect_id,
+      collect_request_id,
+      previous_status: orderStatus.status,
+      new_status: orderStatus.status
+    };
+    const isPastExpiry = orderStatus.createdAt < expiryCutoff;
+
+    try {
+      let gatewayStatus = '';
+      let newStatus = orderStatus.status;
+
+      let checkError = '';
+
+      if (collect_request_id && orderStatus.order) {
+        const gateway = getGatewayAdapter(orderStatus.order.gateway_name);
+        const statusResult = await this.checkStatus(gateway, {
+          collect_request_id,
+          school_id: orderStatus.order.school_id.toString(),
+          credentials: await schoolService.getGatewayCredentials(orderStatus.order.school_id)
+        }).catch(error => ({ success: false, error: { message: error.message } }));
+
+        if (statusResult.success) {
+          gatewayStatus = statusResult.data.status;
+          result.gateway_status = gatewayStatus;
+          newStatus = gateway.mapStatus(gatewayStatus);
+
+          if (newStatus !== 'pending' && newStatus !== 'processing') {
+            orderStatus.applyStatusCheck(newStatus, {
+              gateway_status: gatewayStatus,
+              amount: statusResult.data.amount
+            }, {
+              source: 'reconciler'
+            });
+          } else if (newStatus === 'processing') {
+            orderStatus.transitionTo('processing', { source: 'reconciler', reason: `Gateway reported ${gatewayStatus}` });
+          }
+        } else {
+          checkError = statusResult.error.message || 'Failed to check payment status';
+
+          // Past expiry the order is expired even if the gateway can't report
+          // on it, e.g. because it no longer knows the collect request
+          if (!isPastExpiry) {
+            throw new Error(checkError);
+          }
+          result.error_message = checkError;
+        }
+      }
+
+      if ((newStatus === 'pending' || newStatus === 'processing') && isPastExpiry) {
+        let reason = `No collect request found after ${this.expiryHours}h`;
+        if (gatewayStatus) {
+          reason = `Still ${gatewayStatus} at the gateway after ${this.expiryHours}h`;
+        } else if (checkError) {
+          reason = `Status check still failing after ${this.expiryHours}h: ${checkError}`;
+        }
+
+        orderStatus.transitionTo('expired', { source: 'reconciler', reason });
+        orderStatus.payment_message = 'Payment expired';
+        result.outcome = 'expired';
+      } else {
+        result.outcome = orderStatus.isModified('status') ? 'updated' : 'unchanged';
+      }
+
+      if (orderStatus.isModified()) {
+        await orderStatus.save();
+      }
+      result.new_status = orderStatus.status;
+    } catch (error) {
+      const rejected = error instanceof AppError && error.statusCode === 409;
+
+      result.outcome = rejected ? 'rejected' : 'error';
+      result.error_message = error.message;
+
+      logger.warn('Failed to reconcile order status', {
+        orderStatusId: orderStatus._id,
+        collect_request_id,
+        outcome: result.outcome,
+        error: error.message
+      });
+    }
+
+    // Runs take the least recently checked orders first, so orders that keep
+    // failing move to the back instead of filling every batch
+    await OrderStatus.updateOne({ _id: orderStatus._id }, { $set: { last_reconciled_at: new Date() } })
+      .catch(error => {
+        logger.warn('Failed to record reconciliation time', {
+          orderStatusId: orderStatus._id,
+          error: error.message
+        });
+      });
+
+    return result;
+  }
+
+  /**
+   * Reconcile one refund the gateway hasn't reported as finished. A refund
+   * the gateway still doesn't know after the expiry window never reached it,
+   * so it is marked failed and stops holding the order's refundable balance.
+   * @param {Object} refund - Refund document
+   * @param {Date} expiryCutoff - Refunds created before this are failed if the gateway has no record of them
+   * @returns {Promise<Object>} Result line for the run report
+   */
+  async reconcileRefund(refund, expiryCutoff) {
+    const result = {
+      refund_id: refund._id,
+      collect_id: refund.collect_id,
+      previous_status: refund.status,
+      new_status: refund.status
+    };
+
+    try {
+      const order = await Order.findById(refund.collect_id);
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const gateway = getGatewayAdapter(order.gateway_name);
+      const statusResult = await this.checkRefundStatus(gateway, {
+        school_id: order.school_id.toString(),
+        collect_request_id: refund.collect_request_id,
+        refund_id: refund._id.toString(),
+        credentials: await schoolService.getGatewayCredentials(order.school_id)
+      }).catch(error => ({ success: false, error: { message: error.message } }));
+
+      if (statusResult.success) {
+        const newStatus = gateway.mapRefundStatus(statusResult.data.status);
+        result.gateway_status = statusResult.data.status;
+
+        if (newStatus !== refund.status) {
+          await refundService.applyRefundStatus(refund, newStatus, {
+            refund_request_id: statusResult.data.refund_request_id,
+            gateway_response: statusResult.data.details,
+            source: 'reconciler',
+            reason: `Refund ${refund._id} reported ${statusResult.data.status}`
+          });
+        }
+      } else if (statusResult.error.status === 404 && refund.createdAt < expiryCutoff) {
+        await refundService.applyRefundStatus(refund, 'failed', {
+          error_message: `Gateway has no record of this refund after ${this.expiryHours}h`,
+          source: 'reconciler'
+        });
+      } else {
+        throw new Error(statusResult.error.message || 'Failed to check refund status');
+      }
+
+      result.outcome = refund.status === result.previous_status ? 'unchanged' : 'updated';
+      result.new_status = refund.status;
+    } catch (error) {
+      result.outcome = error instanceof AppError && error.statusCode === 409 ? 'rejected' : 'error';
+      result.error_message = error.message;
+
+      logger.warn('Failed to reconcile refund', {
+        refundId: refund._id,
+        outcome: result.outcome,
+        error: error.message
+      });
+    }
+
+    await Refund.updateOne({ _id: refund._id }, { $set: { last_checked_at: new Date() } })
+      .catch(error => {
+        logger.warn('Failed to record refund check time', {
+          refundId: refund._id,
+          error: error.message
+        });
+      });
+
+    return result;
+  }
+
+  /**
+   * Run one reconciliation pass over stale pending orders and refunds
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - scheduled or manual
+   * @param {ObjectId} options.triggered_by - Admin who started a manual run
+   * @returns {Promise<Object>} ReconciliationRun document
+   */
+  async run({ trigger = 'manual', triggered_by } = {}) {
+    const lockHolder = crypto.randomUUID();
+    const acquired = await JobLock.acquire(RECONCILER_LOCK, lockHolder, this.lockMinutes * 60 * 1000);
+
+    if (!acquired) {
+      throw new AppError('A reconciliation run is already in progress', 409);
+    }
+
+    const startedAt = new Date();
+
+    let reconciliationRun;
+    try {
+      reconciliationRun = await ReconciliationRun.create({
+        trigger,
+        triggered_by,
+        started_at: startedAt,
+        criteria: {
+          pending_age_minutes: this.pendingAgeMinutes,
+          expiry_hours: this.expiryHours,
+          batch_size: this.batchSize
+        }
+      });
+    } catch (error) {
+      await JobLock.release(RECONCILER_LOCK, lockHolder);
+      throw error;
+    }
+
+    try {
+      const staleCutoff = new Date(startedAt.getTime() - this.pendingAgeMinutes * 60 * 1000);
+      const expiryCutoff = this.getExpiryCutoff(startedAt);
+
+      const staleOrders = await OrderStatus.find({
+        status: { $in: ['pending', 'processing'] },
+        createdAt: { $lte: staleCutoff }
+      })
+        .sort({ last_reconciled_at: 1, createdAt: 1 })
+        .limit(this.batchSize)
+        .populate('order');
+
+      const staleRefunds = await Refund.find({
+        status: { $in: ['initiated', 'processing'] },
+        createdAt: { $lte: staleCutoff }
+      })
+        .sort({ last_checked_at: 1, createdAt: 1 })
+        .limit(this.batchSize);
+
+      logger.info('Reconciliation run started', {
+        runId: reconciliationRun._id,
+        trigger,
+        staleOrders: staleOrders.length,
+        staleRefunds: staleRefunds.length
+      });
+
+      const results = await parallelLimit(
+        staleOrders,
+        orderStatus => this.reconcileOrder(orderStatus, expiryCutoff),
+        this.concurrency
+      );
+
+      reconciliationRun.results = results;
+      reconciliationRun.summary = {
+        scanned: results.length,
+        updated: results.filter(result => result.outcome === 'updated').length,
+        expired: results.filter(result => result.outcome === 'expired').length,
+        unchanged: results.filter(result => result.outcome === 'unchanged').length,
+        rejected: results.filter(result => result.outcome === 'rejected').length,
+        errors: results.filter(result => result.outcome === 'error').length
+      };
+
+      const refundResults = await parallelLimit(
+        staleRefunds,
+        refund => this.reconcileRefund(refund, expiryCutoff),
+        this.concurrency
+      );
+
+      reconciliationRun.refund_results = refundResults;
+      reconciliationRun.refund_summary = {
+        scanned: refundResults.length,
+        updated: refundResults.filter(result => result.outcome === 'updated').length,
+        unchanged: refundResults.filter(result => result.outcome === 'unchanged').length,
+        rejected: refundResults.filter(result => result.outcome === 'rejected').length,
+        errors: refundResults.filter(result => result.outcome === 'error').length
+      };
+      reconciliationRun.status = 'completed';
+    } catch (error) {
+      reconciliationRun.status = 'failed';
+      reconciliationRun.error_message = error.message;
+
+      logger.error('Reconciliation run failed', {
+        runId: reconciliationRun._id,
+        error: error.message,
+        stack: error.stack
+      });
+    } finally {
+      reconciliationRun.finished_at = new Date();
+      reconciliationRun.duration_ms = reconciliationRun.finished_at - startedAt;
+      try {
+        await reconciliationRun.save();
+      } finally {
+        await JobLock.release(RECONCILER_LOCK, lockHolder);
+      }
+    }
+
+    logger.info('Reconciliation run finished', {
+      runId: reconciliationRun._id,
+      status: reconciliationRun.status,
+      summary: reconciliationRun.summary,
+      refundSummary: reconciliationRun.refund_summary,
+      durationMs: reconciliationRun.duration_ms
+    });
+
+    return reconciliationRun;
+  }
+
+  /**
+   * Get service configuration status
+   * @returns {Object} Configuration status
+   */
+  getConfigStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      intervalMinutes: this.intervalMinutes,
+      pendingAgeMinutes: this.pendingAgeMinutes,
+      expiryHours: this.expiryHours,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      rateLimitPerSecond: this.rateLimitPerSecond,
+      lockMinutes: this.lockMinutes
+    };
+  }
+}
+
+// Create singleton instance
+const reconciliationService = new ReconciliationService();
+
+export default reconciliationService;
@@ -0,0 +1,73 @@
+import { OrderStatus, Refund } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Refund statuses the gateway is done with
+const FINAL_REFUND_STATUSES = ['completed', 'failed'];
+
+class RefundService {
+  /**
+   * Record a refund status reported by the gateway. Once completed refunds
+   * cover the whole transaction amount, the order moves to refunded.
+   * @param {Object} refund - Refund document
+   * @param {string} status - Our refund status
+   * @param {Object} options - Update options
+   * @param {string} options.refund_request_id - Gateway refund ID, if reported
+   * @param {Object} options.gateway_response - Gateway response to store
+   * @param {string} options.error_message - Why the refund failed
+   * @param {string} options.source - Transition source for the order (refund or reconciler)
+   * @param {ObjectId} options.changed_by - User behind the change
+   * @param {string} options.reason - Reason recorded on the order transition
+   * @returns {Promise<Object>} OrderStatus document as it is now
+   */
+  async applyRefundStatus(refund, status, { refund_request_id, gateway_response, error_message, source = 'refund', changed_by, reason } = {}) {
+    refund.status = status;
+    if (refund_request_id) refund.refund_request_id = refund_request_id;
+    if (gateway_response) refund.gateway_response = gateway_response;
+    if (error_message) refund.error_message = error_message;
+    if (FINAL_REFUND_STATUSES.includes(status) && !refund.processed_at) {
+      refund.processed_at = new Date();
+    }
+    await refund.save();
+
+    const orderStatus = await OrderStatus.findById(refund.order_status_id);
+
+    if (status !== 'completed' || orderStatus?.status !== 'completed') {
+      return orderStatus;
+    }
+
+    // Refunds still in flight don't count until the gateway completes them
+    const completedAmount = await Refund.getRefundedAmount(refund.collect_id, ['completed']);
+
+    if (completedAmount >= orderStatus.transaction_amount) {
+      orderStatus.transitionTo('refunded', {
+        source,
+        changed_by,
+        reason: reason || 'Order fully refunded'
+      });
+
+      try {
+        await orderStatus.save();
+      } catch (error) {
+        // Another refund completing at the same time already moved the order
+        if (error instanceof AppError && error.statusCode === 409) {
+          return OrderStatus.findById(refund.order_status_id);
+        }
+        throw error;
+      }
+
+      logger.info('Order fully refunded', {
+        collect_id: refund.collect_id,
+        refundId: refund._id,
+        completedAmount
+      });
+    }
+
+    return orderStatus;
+  }
+}
+
+// Create singleton instance
+const refundService = new RefundService();
+
+export default refundService;
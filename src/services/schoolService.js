@@ -0,0 +1,400 @@
+import mongoose from 'mongoose';
+import { FeeStructure, Order, School, Student, Trustee, User } from '../models/index.js';
+import auditService from './auditService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { decryptSecret, encryptSecret } from '../utils/secretCrypto.js';
+
+const CREDENTIAL_FIELDS = ['pg_key', 'api_key'];
+
+// Fields trustees may change on their own schools; the rest are admin only
+const TRUSTEE_EDITABLE_SCHOOL_FIELDS = ['name', 'address'];
+const ADMIN_EDITABLE_SCHOOL_FIELDS = ['name', 'address', 'trustee_id', 'isActive'];
+const TRUSTEE_FIELDS = ['name', 'email', 'phone', 'address', 'isActive'];
+
+/**
+ * Copy the allowed fields that are present in an object
+ * @param {Object} source - Request data
+ * @param {Array<string>} fields - Allowed fields
+ * @returns {Object} Object with only the allowed fields
+ */
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+class SchoolService {
+  /**
+   * Get the key material gateway credentials are encrypted with
+   * @returns {string} Key material
+   */
+  getEncryptionKey() {
+    return process.env.GATEWAY_CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Encrypt the gateway credentials present in an update
+   * @param {Object} credentials - { pg_key, api_key }; empty strings clear a value
+   * @returns {Object} $set and $unset paths for the School update
+   */
+  buildCredentialsUpdate(credentials = {}) {
+    const $set = {};
+    const $unset = {};
+
+    for (const field of CREDENTIAL_FIELDS) {
+      if (credentials[field] === undefined) continue;
+
+      if (credentials[field]) {
+        $set[`gateway_credentials.${field}`] = encryptSecret(credentials[field], this.getEncryptionKey());
+      } else {
+        $unset[`gateway_credentials.${field}`] = 1;
+      }
+    }
+
+    if (Object.keys($set).length > 0 || Object.keys($unset).length > 0) {
+      $set.gateway_credentials_updated_at = new Date();
+    }
+
+    return { $set, $unset };
+  }
+
+  /**
+   * Get the gateway credentials to use for a school. Schools without their own
+   * credentials (or without a School document yet) use PG_KEY and PAYMENT_API_KEY.
+   * @param {string|ObjectId} schoolId - School ID
+   * @returns {Promise<Object>} { pg_key, api_key }
+   */
+  async getGatewayCredentials(schoolId) {
+    const school = mongoose.Types.ObjectId.isValid(schoolId)
+      ? await School.findById(schoolId).select('+gateway_credentials.pg_key +gateway_credentials.api_key')
+      : null;
+
+    if (!school) {
+      logger.debug('No school record found, using default gateway credentials', { schoolId: schoolId?.toString() });
+    }
+
+    const stored = school?.gateway_credentials || {};
+
+    return {
+      pg_key: stored.pg_key ? decryptSecret(stored.pg_key, this.getEncryptionKey()) : process.env.PG_KEY,
+      api_key: stored.api_key ? decryptSecret(stored.api_key, this.getEncryptionKey()) : process.env.PAYMENT_API_KEY
+    };
+  }
+
+  /**
+   * Check whether a user can see a school: admins see all, trustees their
+   * trustee's schools, everyone else only their own school
+   * @param {Object} user - User document
+   * @param {Object} school - School document
+   * @returns {boolean} True if the user can access the school
+   */
+  canAccessSchool(user, school) {
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    if (user.role === 'trustee') {
+      return !!user.trustee_id && school.trustee_id.equals(user.trustee_id);
+    }
+
+    return !!user.school_id && school._id.equals(user.school_id);
+  }
+
+  /**
+   * Get a school the user can access. Schools the user can't see are reported
+   * as not found so their existence isn't revealed.
+   * @param {string} schoolId - School ID
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} School document
+   */
+  async getAccessibleSchool(schoolId, user) {
+    const school = mongoose.Types.ObjectId.isValid(schoolId) ? await School.findById(schoolId) : null;
+
+    if (!school || !this.canAccessSchool(user, school)) {
+      throw new AppError('No school found with that ID', 404);
+    }
+
+    return school;
+  }
+
+  /**
+   * Work out which school a payment is collected for: the requested school,
+   * else the API key's school, else the user's own school
+   * @param {Object} user - User document
+   * @param {string} requestedSchoolId - school_id from the request, if any
+   * @param {Object} apiKey - API key used for the request, if any
+   * @returns {Promise<Object>} Active School document
+   */
+  async resolvePaymentSchool(user, requestedSchoolId, apiKey) {
+    const schoolId = requestedSchoolId || apiKey?.school_id || user.school_id;
+
+    if (!schoolId) {
+      throw new AppError('school_id is required', 400);
+    }
+
+    const school = await this.getAccessibleSchool(schoolId, user);
+
+    if (!school.isActive) {
+      throw new AppError('This school is not active', 400);
+    }
+
+    return school;
+  }
+
+  /**
+   * Check the trustee and school given to a user exist and belong together
+   * @param {string} trusteeId - Trustee ID, if any
+   * @param {string} schoolId - School ID, if any
+   * @returns {Promise<void>}
+   */
+  async assertValidAssignment(trusteeId, schoolId) {
+    if (schoolId) {
+      const school = mongoose.Types.ObjectId.isValid(schoolId) ? await School.findById(schoolId) : null;
+
+      if (!school) {
+        throw new AppError('No school found with that ID', 400);
+      }
+
+      if (trusteeId && school.trustee_id.toString() !== trusteeId.toString()) {
+        throw new AppError('The school does not belong to that trustee', 400);
+      }
+    } else if (trusteeId) {
+      await this.getTrustee(trusteeId, 400);
+    }
+  }
+
+  /**
+   * Create a school (admin only). Pass school_id to register a school under
+   * the ID the payment gateway already uses for it.
+   * @param {Object} data - School data
+   * @param {Object} user - Admin creating the school
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<Object>} School document
+   */
+  async createSchool({ school_id, name, trustee_id, address, gateway_credentials }, user, context = {}) {
+    await this.getTrustee(trustee_id, 400);
+
+    if (school_id && await School.exists({ _id: school_id })) {
+      throw new AppError('A school with this ID already exists', 409);
+    }
+
+    const school = await School.create({
+      ...(school_id && { _id: school_id }),
+      name,
+      trustee_id,
+      address
+    });
+
+    if (gateway_credentials) {
+      await this.updateGatewayCredentials(school, gateway_credentials, user, context);
+    }
+
+    logger.info('School created', {
+      schoolId: school._id,
+      trusteeId: school.trustee_id,
+      createdBy: user._id
+    });
+
+    return School.findById(school._id);
+  }
+
+  /**
+   * List the schools a user can see, by name
+   * @param {Object} user - User document
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.trustee_id - Only this trustee's schools (admin)
+   * @param {boolean} filters.includeInactive - Include deactivated schools
+   * @returns {Promise<Array<Object>>} School documents
+   */
+  async listSchools(user, { trustee_id, includeInactive = false } = {}) {
+    const filter = {};
+
+    if (user.role === 'admin') {
+      if (trustee_id) filter.trustee_id = trustee_id;
+    } else if (user.role === 'trustee') {
+      filter.trustee_id = user.trustee_id;
+    } else {
+      filter._id = user.school_id;
+    }
+
+    if (!includeInactive) {
+      filter.isActive = true;
+    }
+
+    return School.find(filter).sort({ name: 1 });
+  }
+
+  /**
+   * Update a school's details. Trustees can only rename their schools and
+   * change the address; moving or deactivating a school is admin only.
+   * A moved school takes its orders, students, fee structures and staff along.
+   * @param {string} schoolId - School ID
+   * @param {Object} updates - Fields to change
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} Updated school document
+   */
+  async updateSchool(schoolId, updates, user) {
+    const school = await this.getAccessibleSchool(schoolId, user);
+    const editableFields = user.role === 'admin' ? ADMIN_EDITABLE_SCHOOL_FIELDS : TRUSTEE_EDITABLE_SCHOOL_FIELDS;
+
+    const forbidden = Object.keys(updates).filter(field => updates[field] !== undefined && !editableFields.includes(field));
+    if (forbidden.length > 0) {
+      throw new AppError(`You cannot change: ${forbidden.join(', ')}`, 403);
+    }
+
+    if (updates.trustee_id !== undefined) {
+      await this.getTrustee(updates.trustee_id, 400);
+    }
+
+    const previousTrusteeId = school.trustee_id;
+
+    for (const field of editableFields) {
+      if (updates[field] !== undefined) {
+        school[field] = updates[field];
+      }
+    }
+
+    await school.save();
+
+    if (!school.trustee_id.equals(previousTrusteeId)) {
+      await this.moveSchoolRecords(school, previousTrusteeId);
+    }
+
+    logger.info('School updated', {
+      schoolId: school._id,
+      fields: Object.keys(updates).filter(field => updates[field] !== undefined),
+      updatedBy: user._id
+    });
+
+    return school;
+  }
+
+  /**
+   * Copy a moved school's trustee onto the records that carry it, so trustee
+   * scoping follows the school. Trustee accounts stay with their trustee.
+   * @param {Object} school - School document, already moved
+   * @param {ObjectId} previousTrusteeId - Trustee the school was moved from
+   * @returns {Promise<void>}
+   */
+  async moveSchoolRecords(school, previousTrusteeId) {
+    const $set = { trustee_id: school.trustee_id };
+
+    const [orders, students, feeStructures, users] = await Promise.all([
+      Order.updateMany({ school_id: school._id }, { $set }),
+      Student.updateMany({ school_id: school._id }, { $set }),
+      FeeStructure.updateMany({ school_id: school._id }, { $set }),
+      User.updateMany({ school_id: school._id, role: { $ne: 'trustee' } }, { $set })
+    ]);
+
+    logger.info('School moved to another trustee', {
+      schoolId: school._id,
+      fromTrusteeId: previousTrusteeId,
+      toTrusteeId: school.trustee_id,
+      orders: orders.modifiedCount,
+      students: students.modifiedCount,
+      feeStructures: feeStructures.modifiedCount,
+      users: users.modifiedCount
+    });
+  }
+
+  /**
+   * Replace a school's gateway credentials (admin only). The values are never
+   * returned or logged; the change is audited.
+   * @param {Object} school - School document
+   * @param {Object} credentials - { pg_key, api_key }; empty strings clear a value
+   * @param {Object} user - User making the change
+   * @param {Object} context - Request context (ip, user_agent)
+   * @returns {Promise<Object>} Updated school document
+   */
+  async updateGatewayCredentials(school, credentials, user, context = {}) {
+    if (user.role !== 'admin') {
+      throw new AppError('Only admins can change gateway credentials', 403);
+    }
+
+    const { $set, $unset } = this.buildCredentialsUpdate(credentials);
+
+    if (Object.keys($set).length === 0) {
+      throw new AppError('Provide pg_key and/or api_key', 400);
+    }
+
+    const updated = await School.findByIdAndUpdate(school._id, { $set, $unset }, { new: true });
+
+    await auditService.record({
+      action: 'school_credentials_updated',
+      actorId: user._id,
+      context,
+      details: {
+        school_id: school._id,
+        updated: CREDENTIAL_FIELDS.filter(field => credentials[field]),
+        cleared: CREDENTIAL_FIELDS.filter(field => credentials[field] === '')
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Create a trustee (admin only)
+   * @param {Object} data - Trustee data
+   * @returns {Promise<Object>} Trustee document
+   */
+  async createTrustee(data) {
+    const trustee = await Trustee.create(pickFields(data, TRUSTEE_FIELDS));
+
+    logger.info('Trustee created', { trusteeId: trustee._id });
+
+    return trustee;
+  }
+
+  /**
+   * Update a trustee (admin only)
+   * @param {string} trusteeId - Trustee ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated trustee document
+   */
+  async updateTrustee(trusteeId, updates) {
+    const trustee = await this.getTrustee(trusteeId);
+
+    Object.assign(trustee, pickFields(updates, TRUSTEE_FIELDS));
+    await trustee.save();
+
+    logger.info('Trustee updated', { trusteeId: trustee._id });
+
+    return trustee;
+  }
+
+  /**
+   * Check that a user can see a trustee: admins see all, trustee users only
+   * their own. Others are reported as not found.
+   * @param {string} trusteeId - Trustee ID
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Trustee document
+   */
+  async getAccessibleTrustee(trusteeId, user) {
+    if (user.role !== 'admin' && trusteeId !== user.trustee_id?.toString()) {
+      throw new AppError('No trustee found with that ID', 404);
+    }
+
+    return this.getTrustee(trusteeId);
+  }
+
+  /**
+   * Check that a trustee exists
+   * @param {string} trusteeId - Trustee ID
+   * @param {number} statusCode - Status to fail with (400 when the ID came from a request body)
+   * @returns {Promise<Object>} Trustee document
+   */
+  async getTrustee(trusteeId, statusCode = 404) {
+    const trustee = mongoose.Types.ObjectId.isValid(trusteeId) ? await Trustee.findById(trusteeId) : null;
+
+    if (!trustee) {
+      throw new AppError('No trustee found with that ID', statusCode);
+    }
+
+    return trustee;
+  }
+}
+
+// Create singleton instance
+const schoolService = new SchoolService();
+
+export default schoolService;
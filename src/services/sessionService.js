@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Session } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Only keep the most recent rotated hashes for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+// How often last_used_at is written when access tokens are used (ms)
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+// Checked in order; the first match wins
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+  ['Postman', /PostmanRuntime/],
+  ['curl', /curl\//]
+];
+
+const OS_PATTERNS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+class SessionService {
+  constructor() {
+    this.refreshTokenExpiresDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '7', 10);
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   * @param {string} secret - Refresh token secret
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Generate a refresh token for a session. The session ID is embedded so the
+   * session can be found without a lookup by hash.
+   * @param {ObjectId} sessionId - Session ID
+   * @returns {Object} Token and the hash of its secret
+   */
+  generateRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    return {
+      token: `${sessionId}.${secret}`,
+      hash: this.hashToken(secret)
+    };
+  }
+
+  /**
+   * Split a refresh token into session ID and secret
+   * @param {string} token - Refresh token
+   * @returns {Object|null} sessionId and secret, or null if malformed
+   */
+  parseRefreshToken(token) {
+    const [sessionId, secret] = (token || '').split('.');
+
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return { sessionId, secret };
+  }
+
+  /**
+   * Describe the device behind a user agent, e.g. "Chrome on Windows"
+   * @param {string} userAgent - Client user agent
+   * @returns {string} Device description
+   */
+  describeDevice(userAgent = '') {
+    const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) {
+      return 'Unknown device';
+    }
+
+    return [browser?.[0], os?.[0]].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Get the refresh token expiry date from now
+   * @returns {Date} Expiry date
+   */
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenExpiresDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {Object} user - User document
+   * @param {Object} context - Request context
+   * @param {string} context.ip - Client IP address
+   * @param {string} context.user_agent - Client user agent
+   * @returns {Promise<Object>} Session document and its refresh token
+   */
+  async createSession(user, { ip = '', user_agent = '' } = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { token, hash } = this.generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      user_id: user._id,
+      refresh_token_hash: hash,
+      device: this.describeDevice(user_agent),
+      ip,
+      user_agent,
+      expires_at: this.getRefreshExpiry()
+    });
+
+    logger.info('Session created', {
+      sessionId: session._id,
+      userId: user._id,
+      ip
+    });
+
+    return { session, refreshToken: token };
+  }
+
+  /**
+   * Exchange a refresh token for a new one. Presenting a token that was
+   * already rotated out revokes the whole session.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} context - Request context
+   * @param {string} context.ip - Client IP address
+   * @param {string} context.user_agent - Client user agent
+   * @returns {Promise<Object>} Updated session document and the new refresh token
+   */
+  async rotateRefreshToken(refreshToken, { ip = '', user_agent = '' } = {}) {
+    const parsed = this.parseRefreshToken(refreshToken);
+
+    if (!parsed) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findById(parsed.sessionId).select('+refresh_token_hash +previous_token_hashes');
+
+    if (!session) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const presentedHash = this.hashToken(parsed.secret);
+
+    if (session.previous_token_hashes.includes(presentedHash)) {
+      logger.warn('Refresh token reuse detected, revoking session', {
+        sessionId: session._id,
+        userId: session.user_id,
+        ip
+      });
+      await this.revokeSession(session._id, 'refresh_token_reuse');
+      throw new AppError('Refresh token has already been used. Please log in again', 401);
+    }
+
+    if (presentedHash !== session.refresh_token_hash) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    if (!session.isActive()) {
+      throw new AppError(
+        session.revoked_at ? 'Your session has been revoked. Please log in again' : 'Your session has expired. Please log in again',
+        401
+      );
+    }
+
+    const { token, hash } = this.generateRefreshToken(session._id);
+
+    // Only rotate if nobody else rotated this token in the meantime
+    const rotatedSession = await Session.findOneAndUpdate(
+      { _id: session._id, refresh_token_hash: presentedHash, revoked_at: null },
+      {
+        $set: {
+          refresh_token_hash: hash,
+          last_used_at: new Date(),
+          expires_at: this.getRefreshExpiry(),
+          ip: ip || session.ip,
+          user_agent: user_agent || session.user_agent,
+          device: user_agent ? this.describeDevice(user_agent) : session.device
+        },
+        $inc: { rotation_count: 1 },
+        $push: {
+          previous_token_hashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotatedSession) {
+      logger.warn('Concurrent refresh token use detected, revoking session', {
+        sessionId: session._id,
+        userId: session.user_id
+      });
+      await this.revokeSession(session._id, 'refresh_token_reuse');
+      throw new AppError('Refresh token has already been used. Please log in again', 401);
+    }
+
+    logger.debug('Refresh token rotated', {
+      sessionId: rotatedSession._id,
+      userId: rotatedSession.user_id,
+      rotationCount: rotatedSession.rotation_count
+    });
+
+    return { session: rotatedSession, refreshToken: token };
+  }
+
+  /**
+   * Get a session if it can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session document or null if revoked or expired
+   */
+  async getActiveSession(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    const session = await Session.findById(sessionId);
+
+    return session && session.isActive() ? session : null;
+  }
+
+  /**
+   * Record that a session was used, at most once per minute
+   * @param {Object} session - Session document
+   * @returns {Promise<void>}
+   */
+  async touchSession(session) {
+    if (Date.now() - session.last_used_at.getTime() < LAST_USED_UPDATE_INTERVAL) {
+      return;
+    }
+
+    await Session.updateOne({ _id: session._id }, { $set: { last_used_at: new Date() } });
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session making the request, flagged as current
+   * @returns {Promise<Array<Object>>} Session summaries
+   */
+  async listUserSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }).sort({ last_used_at: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ip: session.ip,
+      user_agent: session.user_agent,
+      created_at: session.createdAt,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at,
+      current: !!currentSessionId && session._id.equals(currentSessionId)
+    }));
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revoke reason
+   * @param {string} revokedBy - User who revoked the session, if not the system
+   * @returns {Promise<boolean>} True if an active session was revoked
+   */
+  async revokeSession(sessionId, reason, revokedBy) {
+    const result = await Session.updateOne(
+      { _id: sessionId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason, revoked_by: revokedBy } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('Session revoked', { sessionId, reason, revokedBy });
+    }
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User who owns the session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revoke reason
+   * @param {string} revokedBy - User who revoked the session
+   * @returns {Promise<void>}
+   */
+  async revokeUserSession(userId, sessionId, reason, revokedBy) {
+    const session = mongoose.Types.ObjectId.isValid(sessionId)
+      ? await Session.findOne({ _id: sessionId, user_id: userId })
+      : null;
+
+    if (!session || !session.isActive()) {
+      throw new AppError('No active session found with that ID', 404);
+    }
+
+    await this.revokeSession(session._id, reason, revokedBy);
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revoke reason
+   * @param {string} exceptSessionId - Session to keep (e.g. the caller's own)
+   * @param {string} revokedBy - User who revoked the sessions, if not the system
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeUserSessions(userId, reason, exceptSessionId, revokedBy) {
+    const filter = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      $set: { revoked_at: new Date(), revoked_reason: reason, revoked_by: revokedBy }
+    });
+
+    logger.info('User sessions revoked', {
+      userId,
+      reason,
+      exceptSessionId,
+      revokedBy,
+      count: result.modifiedCount
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
@@ -0,0 +1,271 @@
+import { OrderStatus, SettlementItem, SettlementReport } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parseCsvRecords } from '../utils/csv.js';
+
+// Accepted header names for each settlement column
+const COLUMN_ALIASES = {
+  collect_request_id: ['collect_request_id', 'order_id', 'collect_id'],
+  bank_reference: ['bank_reference', 'bank_ref', 'utr'],
+  amount: ['settlement_amount', 'settled_amount', 'transaction_amount', 'amount'],
+  status: ['status', 'payment_status'],
+  settled_at: ['settlement_date', 'settled_at', 'payment_time', 'date']
+};
+
+// Our statuses that mean the money was collected
+const SETTLED_STATUSES = ['completed', 'refunded'];
+
+// Settlement row statuses that mean the gateway paid the money out. A file
+// without a status column is taken as settled rows only.
+const SETTLEMENT_SUCCESS_STATUSES = ['', 'success', 'settled', 'completed', 'captured', 'paid'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class SettlementService {
+  /**
+   * Read a settlement record into our column names
+   * @param {Object} record - Parsed CSV record
+   * @returns {Object} Settlement row
+   */
+  normalizeRow(record) {
+    const pick = (column) => {
+      const key = COLUMN_ALIASES[column].find(alias => record[alias] !== undefined && record[alias] !== '');
+      return key ? record[key] : '';
+    };
+
+    const amount = parseFloat(pick('amount').replace(/,/g, ''));
+    const settledAt = pick('settled_at') ? new Date(pick('settled_at')) : null;
+
+    return {
+      row_number: record._row,
+      collect_request_id: pick('collect_request_id'),
+      bank_reference: pick('bank_reference'),
+      amount: isNaN(amount) ? null : roundAmount(amount),
+      status: pick('status').trim().toLowerCase(),
+      settled_at: settledAt && !isNaN(settledAt) ? settledAt : null
+    };
+  }
+
+  /**
+   * Work out the settlement period from the request or the rows themselves
+   * @param {Array<Object>} rows - Settlement rows
+   * @param {string} from - Optional start date (YYYY-MM-DD)
+   * @param {string} to - Optional end date (YYYY-MM-DD)
+   * @returns {Object} period_from and period_to, or nulls if unknown
+   */
+  resolvePeriod(rows, from, to) {
+    const dates = rows.map(row => row.settled_at).filter(Boolean).map(date => date.getTime());
+
+    const periodFrom = from
+      ? new Date(from)
+      : dates.length > 0 ? new Date(new Date(Math.min(...dates)).setUTCHours(0, 0, 0, 0)) : null;
+    const periodTo = to
+      ? new Date(to + 'T23:59:59.999Z')
+      : dates.length > 0 ? new Date(new Date(Math.max(...dates)).setUTCHours(23, 59, 59, 999)) : null;
+
+    return { period_from: periodFrom, period_to: periodTo };
+  }
+
+  /**
+   * Import a settlement CSV and store a reconciliation report
+   * @param {Object} options - Import options
+   * @param {string} options.csvText - Settlement file contents
+   * @param {string} options.fileName - Original file name
+   * @param {string} options.from - Optional period start (YYYY-MM-DD)
+   * @param {string} options.to - Optional period end (YYYY-MM-DD)
+   * @param {ObjectId} options.uploadedBy - Admin who uploaded the file
+   * @returns {Promise<Object>} SettlementReport document (items are stored as SettlementItem documents)
+   */
+  async importSettlement({ csvText, fileName = '', from, to, uploadedBy }) {
+    const records = parseCsvRecords(csvText || '');
+
+    if (records.length === 0) {
+      throw new AppError('Settlement file has no rows', 400);
+    }
+
+    const columns = Object.keys(records[0]);
+    const hasColumn = (column) => COLUMN_ALIASES[column].some(alias => columns.includes(alias));
+
+    if (!hasColumn('amount') || (!hasColumn('collect_request_id') && !hasColumn('bank_reference'))) {
+      throw new AppError('Settlement file must have an amount column and a collect_request_id or bank_reference column', 400);
+    }
+
+    const rows = records.map(record => this.normalizeRow(record));
+    const { period_from, period_to } = this.resolvePeriod(rows, from, to);
+
+    logger.info('Importing settlement file', {
+      fileName,
+      rows: rows.length,
+      period_from,
+      period_to,
+      uploadedBy
+    });
+
+    // Orders we marked as paid in the period, indexed by both gateway identifiers
+    const ourSettledOrders = period_from && period_to
+      ? await OrderStatus.find({
+        status: { $in: SETTLED_STATUSES },
+        payment_time: { $gte: period_from, $lte: period_to }
+      })
+      : [];
+
+    const byCollectRequestId = new Map();
+    const byBankReference = new Map();
+    ourSettledOrders.forEach(orderStatus => {
+      const collectRequestId = orderStatus.getPaymentDetails().collect_request_id;
+      if (collectRequestId) byCollectRequestId.set(collectRequestId, orderStatus);
+      if (orderStatus.bank_reference) byBankReference.set(orderStatus.bank_reference, orderStatus);
+    });
+
+    // Rows outside the period are looked up with one query for the whole file
+    const missingCollectRequestIds = rows
+      .map(row => row.collect_request_id)
+      .filter(id => id && !byCollectRequestId.has(id));
+    const missingBankReferences = rows
+      .map(row => row.bank_reference)
+      .filter(reference => reference && !byBankReference.has(reference));
+
+    if (missingCollectRequestIds.length > 0 || missingBankReferences.length > 0) {
+      const otherOrders = await OrderStatus.find({
+        $or: [
+          { collect_request_id: { $in: missingCollectRequestIds } },
+          { bank_reference: { $in: missingBankReferences } }
+        ]
+      });
+
+      otherOrders.forEach(orderStatus => {
+        if (orderStatus.collect_request_id && !byCollectRequestId.has(orderStatus.collect_request_id)) {
+          byCollectRequestId.set(orderStatus.collect_request_id, orderStatus);
+        }
+        if (orderStatus.bank_reference && !byBankReference.has(orderStatus.bank_reference)) {
+          byBankReference.set(orderStatus.bank_reference, orderStatus);
+        }
+      });
+    }
+
+    const items = [];
+    const seenKeys = new Set();
+    const matchedIds = new Set();
+
+    for (const row of rows) {
+      const baseItem = {
+        row_number: row.row_number,
+        collect_request_id: row.collect_request_id,
+        bank_reference: row.bank_reference,
+        settlement_amount: row.amount,
+        settlement_status: row.status
+      };
+
+      if ((!row.collect_request_id && !row.bank_reference) || row.amount === null) {
+        items.push({ ...baseItem, type: 'not_found', message: 'Row is missing an identifier or amount' });
+        continue;
+      }
+
+      const orderStatus = byCollectRequestId.get(row.collect_request_id) || byBankReference.get(row.bank_reference);
+
+      // Keyed on the order itself, so rows that reach it by different identifiers are still caught
+      const key = orderStatus
+        ? `order:${orderStatus._id}`
+        : row.collect_request_id ? `cr:${row.collect_request_id}` : `br:${row.bank_reference}`;
+      if (seenKeys.has(key)) {
+        items.push({ ...baseItem, type: 'duplicate', message: 'Row appears more than once in the settlement file' });
+        continue;
+      }
+      seenKeys.add(key);
+
+      if (!orderStatus) {
+        items.push({ ...baseItem, type: 'not_found', message: 'No matching order found' });
+        continue;
+      }
+
+      matchedIds.add(orderStatus._id.toString());
+
+      const item = {
+        ...baseItem,
+        collect_request_id: row.collect_request_id || orderStatus.getPaymentDetails().collect_request_id || '',
+        bank_reference: row.bank_reference || orderStatus.bank_reference,
+        our_amount: orderStatus.transaction_amount,
+        our_status: orderStatus.status,
+        order_status_id: orderStatus._id,
+        collect_id: orderStatus.collect_id
+      };
+
+      if (!SETTLEMENT_SUCCESS_STATUSES.includes(row.status)) {
+        items.push({ ...item, type: 'not_settled', message: `Gateway reports the payment as ${row.status} but it is ${orderStatus.status} with us` });
+      } else if (!SETTLED_STATUSES.includes(orderStatus.status)) {
+        items.push({ ...item, type: 'pending_with_us', message: `Settled at the gateway but ${orderStatus.status} with us` });
+      } else if (roundAmount(orderStatus.transaction_amount) !== row.amount) {
+        items.push({
+          ...item,
+          type: 'amount_mismatch',
+          difference: roundAmount(row.amount - orderStatus.transaction_amount),
+          message: 'Settled amount differs from our transaction amount'
+        });
+      } else {
+        items.push({ ...item, type: 'matched' });
+      }
+    }
+
+    ourSettledOrders
+      .filter(orderStatus => !matchedIds.has(orderStatus._id.toString()))
+      .forEach(orderStatus => {
+        items.push({
+          type: 'missing_in_settlement',
+          collect_request_id: orderStatus.getPaymentDetails().collect_request_id || '',
+          bank_reference: orderStatus.bank_reference,
+          our_amount: orderStatus.transaction_amount,
+          our_status: orderStatus.status,
+          order_status_id: orderStatus._id,
+          collect_id: orderStatus.collect_id,
+          message: 'Completed with us but missing from the settlement file'
+        });
+      });
+
+    const countOf = (type) => items.filter(item => item.type === type).length;
+
+    const settlementReport = await SettlementReport.create({
+      file_name: fileName,
+      uploaded_by: uploadedBy,
+      period_from,
+      period_to,
+      row_count: rows.length,
+      summary: {
+        matched: countOf('matched'),
+        amount_mismatch: countOf('amount_mismatch'),
+        pending_with_us: countOf('pending_with_us'),
+        not_settled: countOf('not_settled'),
+        missing_in_settlement: countOf('missing_in_settlement'),
+        duplicate: countOf('duplicate'),
+        not_found: countOf('not_found'),
+        settlement_total: roundAmount(items
+          .filter(item => !['duplicate', 'not_settled'].includes(item.type) && item.settlement_amount)
+          .reduce((total, item) => total + item.settlement_amount, 0)),
+        our_total: roundAmount(ourSettledOrders.reduce((total, orderStatus) => total + orderStatus.transaction_amount, 0))
+      }
+    });
+
+    try {
+      await SettlementItem.insertMany(
+        items.map(item => ({ ...item, report_id: settlementReport._id })),
+        { lean: true }
+      );
+    } catch (error) {
+      // A report without its items would read as a clean reconciliation
+      await SettlementItem.deleteMany({ report_id: settlementReport._id });
+      await SettlementReport.deleteOne({ _id: settlementReport._id });
+      throw error;
+    }
+
+    logger.info('Settlement file reconciled', {
+      reportId: settlementReport._id,
+      summary: settlementReport.summary
+    });
+
+    return settlementReport;
+  }
+}
+
+// Create singleton instance
+const settlementService = new SettlementService();
+
+export default settlementService;
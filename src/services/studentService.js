@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { Student } from '../models/index.js';
+import schoolService from './schoolService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// student_id and school_id tie a student to their orders, so they can't change
+const EDITABLE_FIELDS = ['name', 'email', 'class', 'section', 'guardians', 'isActive'];
+
+class StudentService {
+  /**
+   * Add a student to a school. Staff add students to their own school.
+   * @param {Object} data - Student data
+   * @param {Object} user - User adding the student
+   * @returns {Promise<Object>} Student document
+   */
+  async createStudent(data, user) {
+    const school = await schoolService.getAccessibleSchool(data.school_id || user.school_id, user);
+
+    if (await Student.exists({ school_id: school._id, student_id: data.student_id })) {
+      throw new AppError(`A student with ID ${data.student_id} already exists in this school`, 409);
+    }
+
+    const student = await Student.create({
+      student_id: data.student_id,
+      ...pickEditableFields(data),
+      school_id: school._id,
+      trustee_id: school.trustee_id
+    });
+
+    logger.info('Student created', {
+      studentId: student._id,
+      schoolId: school._id,
+      createdBy: user._id
+    });
+
+    return student;
+  }
+
+  /**
+   * List students in the caller's scope, by name
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} filters - Listing filters
+   * @param {string} filters.q - Search on name, student ID and email
+   * @param {string} filters.school_id - Only this school
+   * @param {string} filters.class - Only this class
+   * @param {string} filters.section - Only this section
+   * @param {string} filters.isActive - true, false or all (defaults to true)
+   * @param {number} filters.page - Page number
+   * @param {number} filters.limit - Page size
+   * @returns {Promise<Object>} { students, total_count }
+   */
+  async listStudents(scopeFilter, { q = '', school_id, class: studentClass, section, isActive = 'true', page = 1, limit = 20 } = {}) {
+    const filter = {};
+
+    if (school_id) filter.school_id = school_id;
+    if (studentClass) filter.class = studentClass;
+    if (section) filter.section = section;
+    if (isActive !== 'all') filter.isActive = isActive !== 'false';
+
+    if (q) {
+      const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { student_id: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Tenant filter last so a school_id filter can't widen it
+    Object.assign(filter, scopeFilter);
+
+    const [students, total_count] = await Promise.all([
+      Student.find(filter)
+        .sort({ name: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Student.countDocuments(filter)
+    ]);
+
+    return { students, total_count };
+  }
+
+  /**
+   * Get a student in the caller's scope. Students of other tenants are
+   * reported as not found.
+   * @param {string} studentId - Student document ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @returns {Promise<Object>} Student document
+   */
+  async getStudent(studentId, scopeFilter) {
+    const student = mongoose.Types.ObjectId.isValid(studentId)
+      ? await Student.findOne({ _id: studentId, ...scopeFilter })
+      : null;
+
+    if (!student) {
+      throw new AppError('No student found with that ID', 404);
+    }
+
+    return student;
+  }
+
+  /**
+   * Update a student's details
+   * @param {string} studentId - Student document ID
+   * @param {Object} scopeFilter - Tenant filter from tenantScopeService.getFilter
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated student document
+   */
+  async updateStudent(studentId, scopeFilter, updates) {
+    const student = await this.getStudent(studentId, scopeFilter);
+
+    student.set(pickEditableFields(updates));
+    await student.save();
+
+    return student;
+  }
+
+  /**
+   * Find a school's student by the school's own student ID
+   * @param {string|ObjectId} schoolId - School ID
+   * @param {string} studentId - The school's student ID (Order.student_info.id)
+   * @returns {Promise<Object|null>} Student document, if registered
+   */
+  async findBySchoolStudentId(schoolId, studentId) {
+    return Student.findOne({ school_id: schoolId, student_id: studentId });
+  }
+}
+
+/**
+ * Copy the editable student fields present in request data
+ * @param {Object} source - Request data
+ * @returns {Object} Student fields
+ */
+const pickEditableFields = (source) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Create singleton instance
+const studentService = new StudentService();
+
+export default studentService;
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { Order } from '../models/index.js';
+import schoolService from './schoolService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+class TenantScopeService {
+  /**
+   * Get the tenant restriction for a request. Trustees are limited to their
+   * trustee's orders, staff and users to their own school, and school-bound
+   * API keys to that school on top. Admins without such a key are unrestricted.
+   * @param {Object} req - Express request object (user and apiKey set by protect)
+   * @returns {Object} { trustee_id, school_id } to match on orders; empty when unrestricted
+   */
+  getScope(req) {
+    const { user } = req;
+    const scope = {};
+
+    if (user.role === 'trustee') {
+      // A missing ID would otherwise drop the restriction entirely
+      if (!user.trustee_id) {
+        throw new AppError('Your account is not linked to a trustee', 403);
+      }
+      scope.trustee_id = toObjectId(user.trustee_id);
+    } else if (user.role !== 'admin') {
+      if (!user.school_id) {
+        throw new AppError('Your account is not linked to a school', 403);
+      }
+      scope.school_id = toObjectId(user.school_id);
+    }
+
+    if (req.apiKey?.school_id) {
+      scope.school_id = toObjectId(req.apiKey.school_id);
+    }
+
+    return scope;
+  }
+
+  /**
+   * Get a query filter for the request's scope. Works on any collection that
+   * carries trustee_id and school_id, such as orders and fee structures.
+   * @param {Object} req - Express request object
+   * @param {string} prefix - Path to those fields in the queried documents, e.g. 'order_details.'
+   * @returns {Object} Query conditions; empty when unrestricted
+   */
+  getFilter(req, prefix = '') {
+    return Object.fromEntries(
+      Object.entries(this.getScope(req)).map(([field, value]) => [`${prefix}${field}`, value])
+    );
+  }
+
+  /**
+   * Get an order inside the request's scope. Orders of other tenants are
+   * reported as not found so their existence isn't revealed.
+   * @param {Object} req - Express request object
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order document
+   */
+  async findOrder(req, orderId) {
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await Order.findOne({ _id: orderId, ...this.getFilter(req) })
+      : null;
+
+    if (!order) {
+      logger.debug('Order not found in tenant scope', {
+        orderId,
+        userId: req.user._id,
+        role: req.user.role
+      });
+      throw new AppError('Order not found', 404);
+    }
+
+    return order;
+  }
+
+  /**
+   * Check that a school is inside the request's scope
+   * @param {Object} req - Express request object
+   * @param {string} schoolId - School ID
+   * @returns {Promise<void>}
+   */
+  async assertSchoolInScope(req, schoolId) {
+    const scope = this.getScope(req);
+
+    if (scope.school_id && !scope.school_id.equals(schoolId)) {
+      throw new AppError('No school found with that ID', 404);
+    }
+
+    if (scope.trustee_id) {
+      await schoolService.getAccessibleSchool(schoolId, req.user);
+    }
+  }
+}
+
+// Create singleton instance
+const tenantScopeService = new TenantScopeService();
+
+export default tenantScopeService;
@@ -0,0 +1,226 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { OrderStatus } from '../models/index.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCsvLine } from '../utils/csv.js';
+import { buildTransactionPipeline, buildTransactionSort } from '../utils/transactionPipeline.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Exportable columns and their header labels, in default order
+export const EXPORT_COLUMNS = {
+  collect_id: 'Collect ID',
+  school_id: 'School ID',
+  gateway_name: 'Gateway',
+  order_amount: 'Order Amount',
+  transaction_amount: 'Transaction Amount',
+  status: 'Status',
+  payment_mode: 'Payment Mode',
+  bank_reference: 'Bank Reference',
+  payment_message: 'Payment Message',
+  payment_time: 'Payment Time',
+  createdAt: 'Created At',
+  updatedAt: 'Updated At'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+class TransactionExportService {
+  /**
+   * Resolve the requested column list
+   * @param {string} columns - Comma separated column names (empty for all)
+   * @returns {Array<string>} Column names
+   */
+  resolveColumns(columns = '') {
+    const requested = columns.split(',').map(column => column.trim()).filter(Boolean);
+
+    if (requested.length === 0) {
+      return Object.keys(EXPORT_COLUMNS);
+    }
+
+    const unknown = requested.filter(column => !EXPORT_COLUMNS[column]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown export columns: ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(requested)];
+  }
+
+  /**
+   * Read a column value from an aggregated transaction
+   * @param {Object} transaction - Aggregated transaction
+   * @param {string} column - Column name
+   * @returns {*} Cell value
+   */
+  getCellValue(transaction, column) {
+    const value = transaction[column];
+
+    if (value instanceof Date || typeof value === 'number' || value === null || value === undefined) {
+      return value;
+    }
+
+    return value.toString();
+  }
+
+  /**
+   * Stream transactions matching the listing filters as a CSV or XLSX download
+   * @param {Object} res - Express response object
+   * @param {Object} options - Export options
+   * @param {string} options.format - csv or xlsx
+   * @param {string} options.columns - Comma separated column names
+   * @param {Object} options.filters - Same filters as the transaction listing
+   * @param {string} options.sort - Field to sort by
+   * @param {string} options.dir - asc or desc
+   * @returns {Promise<number>} Number of rows written
+   */
+  async streamExport(res, { format = 'csv', columns, filters = {}, sort, dir }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const selectedColumns = this.resolveColumns(columns);
+
+    const pipeline = buildTransactionPipeline({
+      ...filters,
+      extraFields: { payment_mode: 1, bank_reference: 1, payment_message: 1 }
+    });
+    pipeline.push(buildTransactionSort(sort, dir));
+
+    const cursor = OrderStatus.aggregate(pipeline)
+      .allowDiskUse(true)
+      .cursor({ batchSize: 500 });
+
+    const fileName = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    let rowCount = 0;
+
+    try {
+      if (format === 'csv') {
+        rowCount = await this.writeCsv(res, cursor, selectedColumns);
+      } else {
+        rowCount = await this.writeXlsx(res, cursor, selectedColumns);
+      }
+    } catch (error) {
+      await cursor.close().catch(() => {});
+
+      if (!res.headersSent) {
+        throw error;
+      }
+
+      // Headers are already out, so the only signal left is an aborted download
+      logger.error('Transaction export failed mid-stream', {
+        format,
+        rowCount,
+        error: error.message
+      });
+      res.destroy(error);
+      return rowCount;
+    }
+
+    logger.info('Transactions exported', {
+      format,
+      columns: selectedColumns,
+      rowCount
+    });
+
+    return rowCount;
+  }
+
+  /**
+   * Write rows from the cursor as CSV, respecting response backpressure
+   * @param {Object} res - Express response object
+   * @param {Object} cursor - Aggregation cursor
+   * @param {Array<string>} columns - Column names
+   * @returns {Promise<number>} Number of rows written
+   */
+  async writeCsv(res, cursor, columns) {
+    let rowCount = 0;
+
+    res.write(toCsvLine(columns.map(column => EXPORT_COLUMNS[column])));
+
+    for await (const transaction of cursor) {
+      if (res.destroyed) {
+        await cursor.close();
+        break;
+      }
+
+      const line = toCsvLine(columns.map(column => this.getCellValue(transaction, column)));
+      if (!res.write(line)) {
+        await this.waitForDrain(res);
+      }
+      rowCount++;
+    }
+
+    res.end();
+    return rowCount;
+  }
+
+  /**
+   * Wait until the response can take more data. A client that disconnects
+   * while the buffer is full emits 'close' rather than 'drain'.
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async waitForDrain(res) {
+    const controller = new AbortController();
+
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: controller.signal }),
+        once(res, 'close', { signal: controller.signal })
+      ]);
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Write rows from the cursor into a streamed XLSX workbook
+   * @param {Object} res - Express response object
+   * @param {Object} cursor - Aggregation cursor
+   * @param {Array<string>} columns - Column names
+   * @returns {Promise<number>} Number of rows written
+   */
+  async writeXlsx(res, cursor, columns) {
+    let rowCount = 0;
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Transactions');
+    worksheet.columns = columns.map(column => ({
+      header: EXPORT_COLUMNS[column],
+      key: column,
+      width: 24
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const transaction of cursor) {
+      if (res.destroyed) {
+        await cursor.close();
+        break;
+      }
+
+      const row = {};
+      columns.forEach(column => {
+        row[column] = this.getCellValue(transaction, column);
+      });
+      worksheet.addRow(row).commit();
+      rowCount++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return rowCount;
+  }
+}
+
+// Create singleton instance
+const transactionExportService = new TransactionExportService();
+
+export default transactionExportService;
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import authService from './authService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+import { decryptSecret, encryptSecret } from '../utils/secretCrypto.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Edviron Payments';
+    this.challengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+    this.maxAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10);
+    this.requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the key material TOTP secrets are encrypted with
+   * @returns {string} Key material
+   */
+  getEncryptionKey() {
+    return process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext as hex
+   */
+  encryptSecret(secret) {
+    return encryptSecret(secret, this.getEncryptionKey());
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - iv:tag:ciphertext as hex
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(stored) {
+    return decryptSecret(stored, this.getEncryptionKey());
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Array<string>} Recovery codes in xxxxx-xxxxx form
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Check whether the 2FA policy requires 2FA for a user's role
+   * @param {Object} user - User document
+   * @returns {boolean} True if the user must use 2FA
+   */
+  isRequiredFor(user) {
+    return this.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Start enrollment by generating a pending secret
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = generateTotpSecret();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorPendingSecret: this.encryptSecret(secret) } }
+    );
+
+    logger.info('Two-factor enrollment started', { userId: user._id });
+
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({ secret, accountName: user.email, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {Object} user - User document
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>>} Recovery codes, shown once
+   */
+  async confirmEnrollment(user, code) {
+    const userWithSecret = await User.findById(user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!userWithSecret?.twoFactorPendingSecret) {
+      throw new AppError('Start two-factor enrollment first', 400);
+    }
+
+    const secret = this.decryptSecret(userWithSecret.twoFactorPendingSecret);
+    const step = verifyTotp(secret, code);
+
+    if (step === null) {
+      throw new AppError('Invalid two-factor code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: userWithSecret.twoFactorPendingSecret,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))
+      },
+      $unset: { twoFactorPendingSecret: 1 }
+    });
+
+    logger.info('Two-factor authentication enabled', { userId: user._id });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP or recovery code for a user with 2FA enabled. Used recovery
+   * codes are removed and TOTP codes can't be replayed.
+   * @param {Object} user - User document
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<Object>} How the code was accepted (totp or recovery)
+   */
+  async verifyCode(user, code) {
+    const userWithSecret = await User.findById(user._id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!userWithSecret?.twoFactorEnabled || !userWithSecret.twoFactorSecret) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    const step = verifyTotp(this.decryptSecret(userWithSecret.twoFactorSecret), code);
+
+    if (step !== null) {
+      // Atomic so the same code can't be used twice in parallel
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { twoFactorLastUsedStep: { $exists: false } },
+            { twoFactorLastUsedStep: { $lt: step } }
+          ]
+        },
+        { $set: { twoFactorLastUsedStep: step } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError('This two-factor code has already been used', 401);
+      }
+
+      return { method: 'totp' };
+    }
+
+    const codeHash = this.hashRecoveryCode(String(code || ''));
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+
+    logger.warn('Two-factor recovery code used', {
+      userId: user._id,
+      remaining: userWithSecret.twoFactorRecoveryCodes.length - 1
+    });
+
+    return {
+      method: 'recovery',
+      remaining_recovery_codes: userWithSecret.twoFactorRecoveryCodes.length - 1
+    };
+  }
+
+  /**
+   * Turn off 2FA for a user
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async disable(user) {
+    if (this.isRequiredFor(user)) {
+      throw new AppError(`Two-factor authentication is required for the ${user.role} role`, 403);
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorEnabledAt: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastUsedStep: 1,
+        twoFactorRecoveryCodes: 1
+      }
+    });
+
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+  }
+
+  /**
+   * Create the challenge token returned by login when 2FA is on
+   * @param {Object} user - User document
+   * @returns {string} Short-lived JWT
+   */
+  createChallengeToken(user) {
+    return authService.generatePurposeToken({ id: user._id }, '2fa_challenge', this.challengeExpiresIn);
+  }
+
+  /**
+   * Verify a login challenge token
+   * @param {string} token - Challenge token
+   * @returns {Object} Decoded payload with the user id
+   */
+  verifyChallengeToken(token) {
+    return authService.verifyPurposeToken(
+      token,
+      '2fa_challenge',
+      'Two-factor challenge is invalid or has expired. Please log in again',
+      401
+    );
+  }
+
+  /**
+   * Get the user a challenge token was issued to, without throwing
+   * @param {string} token - Challenge token
+   * @returns {string|null} User ID, or null if the token is invalid
+   */
+  getChallengeUserId(token) {
+    try {
+      return this.verifyChallengeToken(token).id;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get service configuration status
+   * @returns {Object} Configuration status
+   */
+  getConfigStatus() {
+    return {
+      issuer: this.issuer,
+      requiredRoles: this.requiredRoles,
+      challengeExpiresIn: this.challengeExpiresIn,
+      maxAttempts: this.maxAttempts
+    };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
@@ -0,0 +1,185 @@
+import { OrderStatus, WebhookLog } from '../models/index.js';
+import { getGatewayAdapter } from './gateways/index.js';
+import schoolService from './schoolService.js';
+import logger from '../utils/logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+class WebhookService {
+  constructor() {
+    this.rejectedLogTtlHours = parseInt(process.env.WEBHOOK_REJECTED_LOG_TTL_HOURS || '24', 10);
+  }
+
+  /**
+   * Verify the signature sent with a gateway webhook, using the credentials of
+   * the school the order belongs to
+   * @param {Object} body - Raw webhook body
+   * @param {string} gatewayName - Gateway the webhook was sent by
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifySignature(body, gatewayName) {
+    const collectRequestId = body?.order_info?.order_id;
+    const orderStatus = collectRequestId
+      ? await OrderStatus.findByCollectRequestId(String(collectRequestId)).populate('order')
+      : null;
+
+    // Unknown orders are still verified (with the default key) so the log records why they failed
+    const credentials = await schoolService.getGatewayCredentials(orderStatus?.order?.school_id);
+
+    return getGatewayAdapter(gatewayName).verifyWebhookSignature(body, credentials);
+  }
+
+  /**
+   * Apply a verified webhook event to the matching order status. Gateways sign
+   * only the collect request, so the webhook is treated as a notice: the status,
+   * amount and payment details are fetched from the gateway, never taken from the body.
+   * @param {Object} body - Webhook body
+   * @param {Object} body.order_info - Order information sent by the gateway
+   * @param {string} gatewayName - Gateway the webhook was sent by
+   * @returns {Promise<Object>} Updated OrderStatus document
+   */
+  async processEvent(body, gatewayName) {
+    const orderInfo = body?.order_info;
+
+    if (!orderInfo || !orderInfo.order_id) {
+      throw new AppError('Webhook order_info.order_id is required', 400);
+    }
+
+    const collectRequestId = String(orderInfo.order_id);
+    const orderStatus = await OrderStatus.findByCollectRequestId(collectRequestId).populate('order');
+
+    if (!orderStatus) {
+      logger.warn('Webhook received for unknown collect request', {
+        collect_request_id: collectRequestId
+      });
+      throw new AppError('No order found for this collect request', 404);
+    }
+
+    const gateway = getGatewayAdapter(orderStatus.getPaymentDetails().gateway_name);
+
+    // A webhook verified by one gateway must not update another gateway's order
+    if (gateway !== getGatewayAdapter(gatewayName)) {
+      logger.warn('Webhook gateway does not match order gateway', {
+        collect_request_id: collectRequestId,
+        webhook_gateway: gatewayName,
+        order_gateway: gateway.name
+      });
+      throw new AppError('Webhook gateway does not match order', 400);
+    }
+
+    const statusResult = await gateway.checkStatus({
+      collect_request_id: collectRequestId,
+      school_id: orderStatus.order.school_id.toString(),
+      credentials: await schoolService.getGatewayCredentials(orderStatus.order.school_id)
+    });
+
+    // The gateway retries the webhook, and failed logs can be replayed
+    if (!statusResult.success) {
+      throw new AppError(`Could not confirm the webhook with the gateway: ${statusResult.error.message}`, 502);
+    }
+
+    const { status: gatewayStatus, amount, details = {} } = statusResult.data;
+    const dbStatus = gateway.mapStatus(gatewayStatus);
+
+    // Rejects updates that would move the order backwards (e.g. completed -> pending)
+    orderStatus.applyStatusCheck(dbStatus, {
+      gateway_status: gatewayStatus,
+      amount
+    }, {
+      source: 'webhook'
+    });
+
+    if (details.payment_mode) {
+      orderStatus.payment_mode = details.payment_mode;
+    }
+    if (details.bank_ref) {
+      orderStatus.bank_reference = details.bank_ref;
+    }
+
+    await orderStatus.save();
+
+    logger.info('Order status updated from webhook', {
+      order_id: orderStatus.collect_id,
+      collect_request_id: collectRequestId,
+      status: dbStatus,
+      transaction_amount: orderStatus.transaction_amount
+    });
+
+    return orderStatus;
+  }
+
+  /**
+   * Persist a webhook exactly as it was received, with its signature check
+   * result. Rejected events expire after WEBHOOK_REJECTED_LOG_TTL_HOURS.
+   * @param {Object} event - Incoming webhook
+   * @param {Object} event.headers - Request headers
+   * @param {Object} event.body - Request body
+   * @param {string} event.ip - Caller IP address
+   * @param {string} event.gateway_name - Gateway the webhook was sent by
+   * @param {Object} event.verificationResult - Result of verifySignature
+   * @returns {Promise<Object>} WebhookLog document
+   */
+  async logEvent({ headers, body, ip, gateway_name, verificationResult }) {
+    const signatureValid = verificationResult.success === true;
+
+    const webhookLog = await WebhookLog.create({
+      gateway_name: gateway_name || '',
+      collect_request_id: body?.order_info?.order_id ? String(body.order_info.order_id) : '',
+      headers: headers || {},
+      body: body || {},
+      ip: ip || '',
+      signature_valid: signatureValid,
+      signature_error: signatureValid ? '' : verificationResult.error?.message || '',
+      ...(!signatureValid && {
+        processing_status: 'rejected',
+        error_message: 'Invalid webhook signature',
+        processed_at: new Date(),
+        expires_at: new Date(Date.now() + this.rejectedLogTtlHours * 60 * 60 * 1000)
+      })
+    });
+
+    logger.debug('Webhook event logged', {
+      webhookLogId: webhookLog._id,
+      collect_request_id: webhookLog.collect_request_id,
+      signature_valid: signatureValid
+    });
+
+    return webhookLog;
+  }
+
+  /**
+   * Process a logged webhook event and record the outcome on the log
+   * @param {Object} webhookLog - WebhookLog document
+   * @returns {Promise<Object>} Updated OrderStatus document
+   */
+  async processLoggedEvent(webhookLog) {
+    try {
+      const orderStatus = await this.processEvent(webhookLog.body, webhookLog.gateway_name);
+
+      webhookLog.processing_status = 'processed';
+      webhookLog.error_message = '';
+      webhookLog.order_status_id = orderStatus._id;
+      webhookLog.processed_at = new Date();
+      await webhookLog.save();
+
+      return orderStatus;
+    } catch (error) {
+      webhookLog.processing_status = 'failed';
+      webhookLog.error_message = error.message;
+      webhookLog.processed_at = new Date();
+      await webhookLog.save();
+
+      logger.error('Webhook event processing failed', {
+        webhookLogId: webhookLog._id,
+        collect_request_id: webhookLog.collect_request_id,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+export default webhookService;
@@ -0,0 +1,88 @@
+/**
+ * Parse CSV text into an array of rows (RFC 4180: quoted fields, escaped
+ * quotes and line breaks inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of field values
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet tools
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by normalized header
+ * (lowercase, spaces and dashes replaced by underscores)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Records with a `_row` line number
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+
+  return rows.map((fields, index) => {
+    const record = { _row: index + 2 };
+    keys.forEach((key, position) => {
+      record[key] = (fields[position] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Format values as one CSV line, quoting fields that need it. Text that a
+ * spreadsheet would run as a formula is prefixed with a quote; some of it
+ * (gateway names, bank messages) comes from clients and webhooks.
+ * @param {Array<*>} values - Field values (Dates are written as ISO strings)
+ * @returns {string} - CSV line ending in CRLF
+ */
+export const toCsvLine = (values) => values.map(value => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
@@ -1,6 +1,13 @@
 import jwt from 'jsonwebtoken';
 import logger from '../utils/logger.js';
 
+// order_info fields a webhook sign may also carry; when present they must match the body
+const SIGNED_WEBHOOK_FIELDS = ['status', 'order_amount', 'transaction_amount'];
+
+// Signed and sent values match as text or, for amounts like 1500 and "1500.00", as numbers
+const sameValue = (signed, sent) => String(signed) === String(sent) ||
+  (sent !== undefined && sent !== null && sent !== '' && Number(signed) === Number(sent));
+
 class PaymentJWTService {
   constructor() {
     this.pgKey = process.env.PG_KEY;
@@ -16,11 +23,12 @@ class PaymentJWTService {
    * @param {string} payload.school_id - School ID
    * @param {string} payload.amount - Amount in INR
    * @param {string} payload.callback_url - Callback URL
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
    * @returns {string} Signed JWT token
    */
-  signCreateCollectRequest(payload) {
+  signCreateCollectRequest(payload, pgKey = this.pgKey) {
     try {
-      if (!this.pgKey) {
+      if (!pgKey) {
         throw new Error('PG_KEY is not configured');
       }
 
@@ -31,7 +39,7 @@ class PaymentJWTService {
         iat: Math.floor(Date.now() / 1000)
       };
 
-      const token = jwt.sign(jwtPayload, this.pgKey, this.jwtOptions);
+      const token = jwt.sign(jwtPayload, pgKey, this.jwtOptions);
 
       logger.debug('JWT signed for create collect request', {
         school_id: payload.school_id,
@@ -58,11 +66,12 @@ class PaymentJWTService {
    * @param {Object} payload - Status check data to sign
    * @param {string} payload.school_id - School ID
    * @param {string} payload.collect_request_id - Collect request ID
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
    * @returns {string} Signed JWT token
    */
-  signStatusCheck(payload) {
+  signStatusCheck(payload, pgKey = this.pgKey) {
     try {
-      if (!this.pgKey) {
+      if (!pgKey) {
         throw new Error('PG_KEY is not configured');
       }
 
@@ -72,7 +81,7 @@ class PaymentJWTService {
         iat: Math.floor(Date.now() / 1000)
       };
 
-      const token = jwt.sign(jwtPayload, this.pgKey, this.jwtOptions);
+      const token = jwt.sign(jwtPayload, pgKey, this.jwtOptions);
 
       logger.debug('JWT signed for status check', {
         school_id: payload.school_id,
@@ -92,18 +101,139 @@ class PaymentJWTService {
     }
   }
 
+  /**
+   * Sign JWT for refund request
+   * @param {Object} payload - Refund data to sign
+   * @param {string} payload.school_id - School ID
+   * @param {string} payload.collect_request_id - Collect request ID being refunded
+   * @param {string} payload.refund_amount - Amount to refund in INR
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
+   * @returns {string} Signed JWT token
+   */
+  signRefundRequest(payload, pgKey = this.pgKey) {
+    try {
+      if (!pgKey) {
+        throw new Error('PG_KEY is not configured');
+      }
+
+      const jwtPayload = {
+        school_id: payload.school_id,
+        collect_request_id: payload.collect_request_id,
+        refund_amount: payload.refund_amount,
+        iat: Math.floor(Date.now() / 1000)
+      };
+
+      const token = jwt.sign(jwtPayload, pgKey, this.jwtOptions);
+
+      logger.debug('JWT signed for refund request', {
+        school_id: payload.school_id,
+        collect_request_id: payload.collect_request_id,
+        refund_amount: payload.refund_amount
+      });
+
+      return token;
+    } catch (error) {
+      logger.error('Failed to sign JWT for refund request', {
+        message: error.message,
+        payload: {
+          school_id: payload.school_id,
+          collect_request_id: payload.collect_request_id,
+          refund_amount: payload.refund_amount
+        }
+      });
+      throw new Error(`JWT signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign JWT for refund status check
+   * @param {Object} payload - Refund status check data to sign
+   * @param {string} payload.school_id - School ID
+   * @param {string} payload.collect_request_id - Collect request the refund was made against
+   * @param {string} payload.refund_id - Our refund record ID, sent when the refund was initiated
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
+   * @returns {string} Signed JWT token
+   */
+  signRefundStatusCheck(payload, pgKey = this.pgKey) {
+    try {
+      if (!pgKey) {
+        throw new Error('PG_KEY is not configured');
+      }
+
+      const jwtPayload = {
+        school_id: payload.school_id,
+        collect_request_id: payload.collect_request_id,
+        refund_id: payload.refund_id,
+        iat: Math.floor(Date.now() / 1000)
+      };
+
+      const token = jwt.sign(jwtPayload, pgKey, this.jwtOptions);
+
+      logger.debug('JWT signed for refund status check', {
+        school_id: payload.school_id,
+        refund_id: payload.refund_id
+      });
+
+      return token;
+    } catch (error) {
+      logger.error('Failed to sign JWT for refund status check', {
+        message: error.message,
+        payload: {
+          school_id: payload.school_id,
+          refund_id: payload.refund_id
+        }
+      });
+      throw new Error(`JWT signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign JWT for a payment webhook the way the gateway does: the sign covers
+   * the collect request, and the order is then re-checked with the gateway
+   * @param {Object} payload - Webhook data to sign
+   * @param {string} payload.collect_request_id - Collect request ID sent in order_info.order_id
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
+   * @returns {string} Signed JWT token
+   */
+  signWebhook(payload, pgKey = this.pgKey) {
+    if (!pgKey) {
+      throw new Error('PG_KEY is not configured');
+    }
+
+    return jwt.sign({
+      collect_request_id: payload.collect_request_id,
+      iat: Math.floor(Date.now() / 1000)
+    }, pgKey, this.jwtOptions);
+  }
+
+  /**
+   * Check that a verified webhook sign belongs to the order in the body.
+   * Fields the sign doesn't carry are not compared; they aren't trusted either.
+   * @param {Object} payload - Verified sign payload
+   * @param {Object} orderInfo - Webhook order_info
+   * @returns {string|null} What doesn't match, or null if the sign covers the body
+   */
+  getWebhookMismatch(payload, orderInfo = {}) {
+    if (!payload.collect_request_id || String(payload.collect_request_id) !== String(orderInfo.order_id)) {
+      return 'order';
+    }
+
+    return SIGNED_WEBHOOK_FIELDS.find(field => payload[field] !== undefined && !sameValue(payload[field], orderInfo[field])) || null;
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token to verify
+   * @param {string} pgKey - School's PG key (defaults to PG_KEY)
    * @returns {Object} Decoded token payload
    */
-  verifyToken(token) {
+  verifyToken(token, pgKey = this.pgKey) {
     try {
-      if (!this.pgKey) {
+      if (!pgKey) {
         throw new Error('PG_KEY is not configured');
       }
 
-      const decoded = jwt.verify(token, this.pgKey);
+      const decoded = jwt.verify(token, pgKey);
 
       logger.debug('JWT token verified successfully', {
         exp: decoded.exp,
@@ -161,13 +291,13 @@ class PaymentJWTService {
   }
 
   /**
-   * Validate JWT service configuration
+   * Validate JWT service configuration. PG_KEY is only the default for
+   * schools without their own key, so a missing one is a warning.
    * @returns {boolean} True if configuration is valid
    */
   validateConfiguration() {
     if (!this.pgKey) {
-      logger.error('Payment JWT service configuration incomplete: PG_KEY is missing');
-      return false;
+      logger.warn('PG_KEY is not set; only schools with their own PG key can use the gateway');
     }
     return true;
   }
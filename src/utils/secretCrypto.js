@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+/**
+ * Derive a 256-bit key from configured key material
+ * @param {string} keyMaterial - Secret from configuration
+ * @returns {Buffer} - 256-bit key
+ */
+const deriveKey = (keyMaterial) => {
+  if (!keyMaterial) {
+    throw new Error('Encryption key is not configured');
+  }
+
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} secret - Plain-text secret
+ * @param {string} keyMaterial - Secret from configuration the key is derived from
+ * @returns {string} - iv:tag:ciphertext as hex
+ */
+export const encryptSecret = (secret, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a secret stored by encryptSecret
+ * @param {string} stored - iv:tag:ciphertext as hex
+ * @param {string} keyMaterial - Secret from configuration the key is derived from
+ * @returns {string} - Plain-text secret
+ */
+export const decryptSecret = (stored, keyMaterial) => {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
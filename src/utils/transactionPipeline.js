@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+
+/**
+ * Build the OrderStatus aggregation pipeline behind the transaction listings
+ * (filters only, no sorting or pagination)
+ * @param {Object} filters - Listing filters
+ * @param {string} filters.q - Free-text search on status, gateway and school
+ * @param {string} filters.status - Comma separated statuses
+ * @param {string} filters.schools - Comma separated school IDs
+ * @param {string} filters.schoolId - Restrict to a single school
+ * @param {Object} filters.scope - Tenant restriction from tenantScopeService.getScope
+ * @param {string} filters.from - Start date (YYYY-MM-DD)
+ * @param {string} filters.to - End date (YYYY-MM-DD)
+ * @param {Object} filters.extraFields - Additional OrderStatus fields to project
+ * @returns {Array<Object>} - Aggregation pipeline
+ */
+export const buildTransactionPipeline = ({
+  q = '',
+  status = '',
+  schools = '',
+  schoolId = '',
+  scope = {},
+  from = '',
+  to = '',
+  extraFields = {}
+} = {}) => {
+  // Build match conditions
+  const matchConditions = {};
+
+  // Add date range filter
+  if (from || to) {
+    matchConditions.createdAt = {};
+    if (from) matchConditions.createdAt.$gte = new Date(from);
+    if (to) matchConditions.createdAt.$lte = new Date(to + 'T23:59:59.999Z');
+  }
+
+  const pipeline = [
+    {
+      $lookup: {
+        from: 'orders',
+        localField: 'collect_id',
+        foreignField: '_id',
+        as: 'order_details'
+      }
+    },
+    {
+      $unwind: '$order_details'
+    }
+  ];
+
+  // Tenant restriction comes first so none of the filters below can widen it
+  if (Object.keys(scope).length > 0) {
+    pipeline.push({
+      $match: Object.fromEntries(
+        Object.entries(scope).map(([field, value]) => [`order_details.${field}`, value])
+      )
+    });
+  }
+
+  if (schoolId) {
+    pipeline.push({
+      $match: {
+        'order_details.school_id': schoolId.length === 24 ? new mongoose.Types.ObjectId(schoolId) : schoolId
+      }
+    });
+  }
+
+  pipeline.push({
+    $project: {
+      collect_id: 1,
+      collect_request_id: '$collect_id',
+      school_id: '$order_details.school_id',
+      gateway: '$order_details.gateway_name',
+      gateway_name: '$order_details.gateway_name',
+      order_amount: 1,
+      transaction_amount: 1,
+      status: 1,
+      custom_order_id: '$collect_id',
+      order_id: '$collect_id',
+      payment_time: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      ...extraFields
+    }
+  });
+
+  // Add match stage if we have conditions
+  if (Object.keys(matchConditions).length > 0) {
+    pipeline.push({ $match: matchConditions });
+  }
+
+  // Add status filter
+  if (status) {
+    const statusArray = status.split(',').filter(Boolean);
+    if (statusArray.length > 0) {
+      pipeline.push({
+        $match: {
+          status: { $in: statusArray }
+        }
+      });
+    }
+  }
+
+  // Add schools filter
+  if (schools) {
+    const schoolsArray = schools.split(',').filter(Boolean);
+    if (schoolsArray.length > 0) {
+      pipeline.push({
+        $match: {
+          school_id: { $in: schoolsArray.map(id => {
+            // Handle both ObjectId and string school IDs
+            try {
+              return new mongoose.Types.ObjectId(id);
+            } catch {
+              return id;
+            }
+          }) }
+        }
+      });
+    }
+  }
+
+  // Add search filter
+  if (q) {
+    const searchConditions = [
+      { status: { $regex: q, $options: 'i' } },
+      { gateway: { $regex: q, $options: 'i' } }
+    ];
+
+    if (!schoolId) {
+      searchConditions.push({ school_id: { $regex: q, $options: 'i' } });
+    }
+
+    pipeline.push({
+      $match: {
+        $or: searchConditions
+      }
+    });
+  }
+
+  return pipeline;
+};
+
+/**
+ * Build the sort stage for the transaction listings
+ * @param {string} sort - Field to sort by
+ * @param {string} dir - asc or desc
+ * @returns {Object} - $sort stage
+ */
+export const buildTransactionSort = (sort = 'createdAt', dir = 'desc') => {
+  const sortField = sort === 'collect_request_id' ? 'collect_id' : sort;
+  const sortOrder = dir === 'asc' ? 1 : -1;
+
+  return { $sort: { [sortField]: sortOrder } };
+};
@@ -0,0 +1,68 @@
+// Fields the user directory can be sorted by
+export const USER_SORT_FIELDS = ['username', 'email', 'role', 'createdAt', 'lastLogin'];
+
+/**
+ * Build the User query filter behind the user directory
+ * @param {Object} filters - Directory filters
+ * @param {string} filters.q - Free-text search on username and email
+ * @param {string} filters.role - Comma separated roles
+ * @param {string} filters.school_id - Only users of this school
+ * @param {string} filters.trustee_id - Only users under this trustee
+ * @param {string} filters.isActive - true, false or all (defaults to true)
+ * @param {string} filters.last_login_from - Last login on or after this date (YYYY-MM-DD)
+ * @param {string} filters.last_login_to - Last login on or before this date (YYYY-MM-DD)
+ * @returns {Object} - Mongoose filter
+ */
+export const buildUserDirectoryFilter = ({
+  q = '',
+  role = '',
+  school_id = '',
+  trustee_id = '',
+  isActive = 'true',
+  last_login_from = '',
+  last_login_to = ''
+} = {}) => {
+  const filter = {};
+
+  // Together with role these match the school_id/role and trustee_id/role indexes
+  if (trustee_id) filter.trustee_id = trustee_id;
+  if (school_id) filter.school_id = school_id;
+
+  if (role) {
+    const roles = role.split(',').map(value => value.trim()).filter(Boolean);
+    filter.role = roles.length === 1 ? roles[0] : { $in: roles };
+  }
+
+  if (isActive !== 'all') {
+    filter.isActive = isActive !== 'false';
+  }
+
+  if (last_login_from || last_login_to) {
+    filter.lastLogin = {};
+    if (last_login_from) filter.lastLogin.$gte = new Date(last_login_from);
+    if (last_login_to) filter.lastLogin.$lte = new Date(last_login_to + 'T23:59:59.999Z');
+  }
+
+  if (q) {
+    const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [
+      { username: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Build the sort for the user directory, with _id as a tie-breaker so pages are stable
+ * @param {string} sort - Field to sort by
+ * @param {string} dir - asc or desc
+ * @returns {Object} - Mongoose sort
+ */
+export const buildUserDirectorySort = (sort = 'createdAt', dir = 'desc') => {
+  const sortField = USER_SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+  const sortDirection = dir === 'asc' ? 1 : -1;
+
+  return { [sortField]: sortDirection, _id: sortDirection };
+};